@@ -15,16 +15,17 @@ export default {
       const url = new URL(request.url);
       const pathSegments = url.pathname.split('/').filter(Boolean);
   
-      // --- 登录验证 ---
-      // 如果是 API 请求，则进行密码验证
-      if (pathSegments[0] === 'api') {
-        const authResponse = handleAuth(request, env);
-        if (authResponse) {
-          // 如果验证失败，则直接返回错误响应
-          return authResponse;
+      // --- 分享链接 ---
+      // 分享页面及其接口无需登录，由分享自身的密码、有效期和下载次数控制访问
+      if (pathSegments[0] === 's') {
+        try {
+          return await handleShareRequest(request, env, pathSegments);
+        } catch (e) {
+          console.error('Error in share request', e);
+          return new Response(e.message || 'Internal Server Error', { status: 500 });
         }
       }
-  
+
       // --- 路由逻辑 ---
       if (pathSegments[0] !== 'api') {
         // 非 API 请求，返回前端 HTML
@@ -35,26 +36,74 @@ export default {
       }
   
       const action = pathSegments[1];
+
+      // 系统保留路径只能由内部逻辑访问
+      if (isReservedPath(url.searchParams.get('path')) || isReservedPath(url.searchParams.get('to'))) {
+        return new Response('Reserved path', { status: 403 });
+      }
   
       try {
-        // 验证通过后，执行相应的 API 操作
+        // --- 登录验证 ---
+        // API 请求需要先通过验证，得到当前用户
+        const { user, response: authResponse } = await handleAuth(request, env);
+        if (authResponse) {
+          // 如果验证失败，则直接返回错误响应
+          return authResponse;
+        }
+
+        // 验证通过后，执行相应的 API 操作，各处理函数再按用户权限检查
         switch (action) {
           case 'list':
-            return await handleList(request, env);
+            return await handleList(request, env, user);
+          case 'search':
+            return await handleSearch(request, env, user);
+          case 'stats':
+            return await handleStats(request, env, user, pathSegments[2]);
           case 'upload':
-            return await handleUpload(request, env);
+            if (pathSegments[2] === 'multipart') {
+              return await handleMultipartUpload(request, env, user, pathSegments[3]);
+            }
+            return await handleUpload(request, env, user);
           case 'delete':
-            return await handleDelete(request, env);
+            return await handleDelete(request, env, user);
+          case 'move':
+            return await handleMove(request, env, user);
+          case 'copy':
+            return await handleCopy(request, env, user);
           case 'download':
             const encodedKey = url.pathname.substring('/api/download'.length);
-            const objectKey = decodeURIComponent(encodedKey).replace(/^\//, '');
+            const decodedKey = decodePathname(encodedKey);
+            if (decodedKey === null) return new Response('Malformed path', { status: 400 });
+            const objectKey = decodedKey.replace(/^\//, '');
             if (!objectKey) {
               return new Response('File path is missing.', { status: 400 });
             }
+            if (isReservedPath(objectKey)) {
+              return new Response('Reserved path', { status: 403 });
+            }
+            if (!can(user, 'read', objectKey)) return forbidden();
             return await handleDownload(request, env, objectKey);
+          case 'download-url':
+            return await handleDownloadUrl(request, env, user);
+          case 'zip':
+            return await handleZip(request, env, user);
+          case 'thumbnail':
+            return await handleThumbnail(request, env, user);
+          case 'batch':
+            return await handleBatch(request, env, user, pathSegments[2]);
+          case 'versions':
+            return await handleVersions(request, env, user, pathSegments[2]);
+          case 'trash':
+            return await handleTrash(request, env, user, pathSegments[2]);
+          case 'shares':
+            return await handleShares(request, env, user);
           case 'check-auth':
-            // 这是一个用于前端检查登录状态的 API，因为 handleAuth 会跳过此验证，所以可以直接返回成功
-            return new Response('Authenticated', { status: 200 });
+            // 用于前端检查登录状态，未登录时 handleAuth 已经返回 401
+            return jsonResponse({ username: user.username });
+          case 'login':
+            return await handleLoginRequest(request, env);
+          case 'logout':
+            return await handleLogoutRequest(request, env);
           default:
             return new Response('API action not found.', { status: 404 });
         }
@@ -63,134 +112,3813 @@ export default {
         return new Response(e.message || 'Internal Server Error', { status: 500 });
       }
     },
+
+    /**
+     * 定时任务，需要在 Worker 的触发器中配置 Cron
+     * @param {ScheduledController} controller 
+     * @param {Object} env 环境变量
+     * @param {Object} ctx 任务上下文
+     */
+    async scheduled(controller, env, ctx) {
+      ctx.waitUntil(purgeExpired(env));
+      // 定期完整统计一次，修正增量更新可能留下的偏差；启用了配额时还没有统计也要生成，上传时才能检查配额
+      ctx.waitUntil(updateUsage(env, '', getQuota(env) !== null));
+    },
   };
   
+  // 系统保留前缀，存放分享记录等内部数据，不在文件列表中显示
+  const SYSTEM_PREFIX = '.drive/';
+  const SHARE_PREFIX = `${SYSTEM_PREFIX}shares/`;
+  const SESSION_PREFIX = `${SYSTEM_PREFIX}sessions/`;
+  const VERSIONS_PREFIX = `${SYSTEM_PREFIX}versions/`;
+  const TRASH_PREFIX = `${SYSTEM_PREFIX}trash/`;
+  const THUMBNAIL_PREFIX = `${SYSTEM_PREFIX}thumbnails/`;
+  const STATS_PREFIX = `${SYSTEM_PREFIX}stats/`;
+
+  function isReservedPath(path) {
+    return !!path && path.startsWith(SYSTEM_PREFIX);
+  }
+
   // --- 认证处理函数 ---
-  function handleAuth(request, env) {
-    // 如果没有设置 PASSWORD 环境变量，则不进行验证
-    if (!env.PASSWORD) {
-      return null;
+  /**
+   * 验证请求并确定当前用户
+   * @returns {Promise<{user?: Object, response?: Response}>} 验证失败时 response 为错误响应
+   */
+  async function handleAuth(request, env) {
+    // 既没有设置 PASSWORD 也没有设置 USERS 时不进行验证
+    if (!isAuthEnabled(env)) {
+      return { user: ADMIN_USER };
     }
   
-    // 下载请求和检查登录状态的请求不进行验证
+    // 登录和退出接口不进行验证
     const url = new URL(request.url);
-    if (url.pathname.startsWith('/api/download') || url.pathname === '/api/check-auth') {
-      return null;
+    if (url.pathname === '/api/login' || url.pathname === '/api/logout') {
+      return { user: null };
+    }
+
+    // 公开下载和带签名的下载链接只授予读取权限
+    if (url.pathname.startsWith('/api/download/')) {
+      if (env.PUBLIC_DOWNLOADS === 'true' || await verifySignedDownload(env, url)) {
+        return { user: READ_ONLY_USER };
+      }
     }
   
-    const password = request.headers.get('Authorization');
-    if (password !== env.PASSWORD) {
-      return new Response('Unauthorized', { status: 401 });
+    const session = await getSession(request, env);
+    const user = session && findUser(env, session.username);
+    if (!user) {
+      return { response: new Response('Unauthorized', { status: 401 }) };
     }
   
-    return null; // 验证通过
+    return { user }; // 验证通过
   }
-  
+
+  // --- 用户与权限 ---
+  // USERS 为 JSON 数组，例如:
+  // [{ "username": "alice", "password": "<salt>:<PBKDF2 哈希>", "permissions": { "": "read", "team-a/": "full" } }]
+  // permissions 的键为路径前缀（"" 表示根目录），按最长匹配的前缀确定角色。
+  const ROLE_ACTIONS = {
+    none: [],
+    read: ['list', 'read'],
+    upload: ['list', 'write'],
+    full: ['list', 'read', 'write', 'delete', 'share'],
+  };
+  // 未启用登录或只设置了 PASSWORD 时的用户，拥有全部权限
+  const ADMIN_USER = { username: 'admin', permissions: { '': 'full' } };
+  const READ_ONLY_USER = { username: null, permissions: { '': 'read' } };
+
+  let usersCache = { source: null, users: null };
+
+  function isAuthEnabled(env) {
+    return !!(env.USERS || env.PASSWORD);
+  }
+
+  /**
+   * 解析 USERS 配置，未配置时返回 null
+   * @returns {Array<Object>|null}
+   */
+  function getUsers(env) {
+    if (!env.USERS) return null;
+    if (usersCache.source !== env.USERS) {
+      let users;
+      try {
+        users = JSON.parse(env.USERS);
+      } catch (e) {
+        throw new Error('Invalid USERS configuration: ' + e.message);
+      }
+      if (!Array.isArray(users)) throw new Error('Invalid USERS configuration: expected an array');
+      usersCache = { source: env.USERS, users: users.map(normalizeUser) };
+    }
+    return usersCache.users;
+  }
+
+  function normalizeUser(user) {
+    const permissions = {};
+    for (const [prefix, role] of Object.entries(user.permissions || {})) {
+      if (!ROLE_ACTIONS[role]) throw new Error(`Invalid role '${role}' for user ${user.username}`);
+      permissions[prefix.replace(/^\/+/, '')] = role;
+    }
+    return { username: String(user.username), password: String(user.password || ''), permissions };
+  }
+
+  function findUser(env, username) {
+    const users = getUsers(env);
+    // 只设置了 PASSWORD 时所有会话都属于管理员
+    if (!users) return env.PASSWORD ? ADMIN_USER : null;
+    return users.find(user => user.username === username) || null;
+  }
+
+  /**
+   * 校验用户名和密码，成功时返回用户
+   */
+  async function verifyCredentials(env, username, password) {
+    if (!getUsers(env)) {
+      // 只设置了 PASSWORD：比较哈希而不是原文，耗时与密码内容和长度无关
+      const matches = timingSafeEqual(await sha256Hex(password), await sha256Hex(env.PASSWORD));
+      return matches ? ADMIN_USER : null;
+    }
+    const user = findUser(env, username);
+    // 用户不存在时同样计算一次哈希，避免通过响应时间判断用户名是否存在
+    const [salt, hash] = (user ? user.password : '').split(':');
+    const actual = await hashPassword(password, salt || 'unknown-user');
+    return user && hash && timingSafeEqual(actual, hash) ? user : null;
+  }
+
+  /**
+   * 获取用户在某路径上的角色，以最长匹配的前缀为准
+   */
+  function getRole(user, path) {
+    let role = 'none';
+    let matchedLength = -1;
+    for (const [prefix, prefixRole] of Object.entries(user.permissions)) {
+      if (path.startsWith(prefix) && prefix.length > matchedLength) {
+        role = prefixRole;
+        matchedLength = prefix.length;
+      }
+    }
+    return role;
+  }
+
+  function can(user, action, path) {
+    return ROLE_ACTIONS[getRole(user, path)].includes(action);
+  }
+
+  // 对文件夹的递归操作还要求其下所有更具体的规则也允许该操作
+  function canRecursive(user, action, path) {
+    if (!can(user, action, path)) return false;
+    if (!path.endsWith('/')) return true;
+    return Object.entries(user.permissions)
+      .every(([prefix, role]) => !prefix.startsWith(path) || ROLE_ACTIONS[role].includes(action));
+  }
+
+  // 用户对路径本身或其下某个子路径有权限时，该路径在列表中可见，以便逐级进入
+  function canSee(user, path) {
+    if (can(user, 'list', path)) return true;
+    return Object.entries(user.permissions).some(([prefix, role]) => prefix.startsWith(path) && role !== 'none');
+  }
+
+  function forbidden() {
+    return new Response('Forbidden', { status: 403 });
+  }
+
+  // --- 会话 ---
+  // 令牌格式为 <id>.<过期时间>.<签名>，通过 HttpOnly Cookie 或 Authorization: Bearer 传递。
+  // 会话记录保存在 SESSION_PREFIX 下，退出登录时删除即可使令牌失效。
+  const SESSION_COOKIE = 'drive_session';
+  // 会话有效期（秒）
+  const SESSION_TTL = 7 * 24 * 60 * 60;
+
+  async function handleLoginRequest(request, env) {
+    if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
+    if (!isAuthEnabled(env)) return new Response('Login is not enabled', { status: 400 });
+    const limiter = getLoginLimiter(env, request, 'login');
+    const lockedResponse = await limiter.check();
+    if (lockedResponse) return lockedResponse;
+    const body = await readJson(request);
+    if (body === null) return invalidJsonResponse();
+    const { username, password } = body;
+    const user = await verifyCredentials(env, String(username || ''), String(password || ''));
+    if (!user) return limiter.fail('Incorrect username or password', 401);
+    await limiter.reset();
+
+    const id = randomToken();
+    const expiresAt = Math.floor(Date.now() / 1000) + SESSION_TTL;
+    const session = { username: user.username, createdAt: Date.now(), expiresAt: expiresAt * 1000 };
+    await env.MY_DRIVE_BUCKET.put(SESSION_PREFIX + id, JSON.stringify(session), {
+      httpMetadata: { contentType: 'application/json' },
+    });
+    const token = `${id}.${expiresAt}.${await hmacHex(env, `session:${id}:${expiresAt}`)}`;
+    return new Response(JSON.stringify({ token, username: user.username, expiresAt: expiresAt * 1000 }), {
+      headers: { 'Content-Type': 'application/json', 'Set-Cookie': sessionCookie(request, token, SESSION_TTL) },
+    });
+  }
+
+  async function handleLogoutRequest(request, env) {
+    if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
+    const session = await getSession(request, env);
+    if (session) await env.MY_DRIVE_BUCKET.delete(SESSION_PREFIX + session.id);
+    return new Response('Logged out', { headers: { 'Set-Cookie': sessionCookie(request, '', 0) } });
+  }
+
+  // --- 登录失败限制 ---
+  // 按客户端 IP 统计密码错误次数，超过 FREE_LOGIN_FAILURES 次后每次失败都要等待一段时间，
+  // 等待时间逐次翻倍，最长 MAX_LOGIN_LOCKOUT 秒。登录成功后清零。
+  const FREE_LOGIN_FAILURES = 5;
+  const BASE_LOGIN_LOCKOUT = 30;
+  const MAX_LOGIN_LOCKOUT = 60 * 60;
+  // 超过该时间（秒）没有新的失败记录时重新计数
+  const LOGIN_FAILURE_WINDOW = 24 * 60 * 60;
+
+  // 未绑定 LOGIN_ATTEMPTS 时使用的内存存储，只在同一个 Worker 实例内有效
+  const memoryAttemptStore = new Map();
+
+  /**
+   * 获取失败记录的存储。绑定了 LOGIN_ATTEMPTS（KV 命名空间）时使用 KV，否则使用内存。
+   * 任何提供 get/put/delete 的对象都可以作为存储，put 的 ttl 单位为秒。
+   */
+  function getAttemptStore(env) {
+    const kv = env.LOGIN_ATTEMPTS;
+    if (kv) {
+      return {
+        get: key => kv.get(key, 'json'),
+        // KV 的 expirationTtl 最小为 60 秒
+        put: (key, value, ttl) => kv.put(key, JSON.stringify(value), { expirationTtl: Math.max(60, ttl) }),
+        delete: key => kv.delete(key),
+      };
+    }
+    return {
+      async get(key) {
+        const entry = memoryAttemptStore.get(key);
+        if (!entry || entry.expiresAt <= Date.now()) return null;
+        return entry.value;
+      },
+      async put(key, value, ttl) {
+        memoryAttemptStore.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+      },
+      async delete(key) {
+        memoryAttemptStore.delete(key);
+      },
+    };
+  }
+
+  /**
+   * 创建针对当前客户端的失败限制器
+   * @param {string} scope 区分不同的密码入口，例如登录和分享密码
+   */
+  function getLoginLimiter(env, request, scope) {
+    const store = getAttemptStore(env);
+    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+    const key = `${scope}:${ip}`;
+    const lockedResponse = (lockedUntil, message, status) => {
+      const retryAfter = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000));
+      return new Response(message, { status, headers: { 'Retry-After': String(retryAfter) } });
+    };
+    return {
+      // 仍在等待期内时返回 429 响应
+      async check() {
+        const record = await store.get(key);
+        if (record && record.lockedUntil > Date.now()) {
+          return lockedResponse(record.lockedUntil, 'Too many failed attempts', 429);
+        }
+        return null;
+      },
+      // 记录一次失败，返回带等待时间的错误响应
+      async fail(message, status) {
+        const record = (await store.get(key)) || { failures: 0, lockedUntil: 0 };
+        record.failures++;
+        if (record.failures > FREE_LOGIN_FAILURES) {
+          const lockout = Math.min(MAX_LOGIN_LOCKOUT, BASE_LOGIN_LOCKOUT * 2 ** (record.failures - FREE_LOGIN_FAILURES - 1));
+          record.lockedUntil = Date.now() + lockout * 1000;
+        }
+        await store.put(key, record, LOGIN_FAILURE_WINDOW);
+        if (record.lockedUntil > Date.now()) return lockedResponse(record.lockedUntil, message, status);
+        return new Response(message, { status });
+      },
+      async reset() {
+        await store.delete(key);
+      },
+    };
+  }
+
+  /**
+   * 校验请求携带的会话令牌
+   * @returns {Promise<Object|null>} 有效时返回会话记录
+   */
+  async function getSession(request, env) {
+    let token = getCookie(request, SESSION_COOKIE);
+    const authorization = request.headers.get('Authorization') || '';
+    if (authorization.startsWith('Bearer ')) token = authorization.substring('Bearer '.length);
+    if (!token) return null;
+    const [id, expiresAt, signature] = token.split('.');
+    if (!id || !signature || !(Number(expiresAt) * 1000 > Date.now())) return null;
+    if (!timingSafeEqual(signature, await hmacHex(env, `session:${id}:${expiresAt}`))) return null;
+    const object = await env.MY_DRIVE_BUCKET.get(SESSION_PREFIX + id);
+    return object ? { id, ...(await object.json()) } : null;
+  }
+
+  function sessionCookie(request, value, maxAge) {
+    const secure = new URL(request.url).protocol === 'https:' ? '; Secure' : '';
+    return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure}`;
+  }
+
+  // 复制的下载链接默认有效期（小时），可通过 DOWNLOAD_LINK_TTL 修改
+  const DEFAULT_DOWNLOAD_LINK_TTL = 24;
+
+  // 为单个文件生成带签名的下载链接，只对该文件有效
+  async function handleDownloadUrl(request, env, user) {
+    const path = new URL(request.url).searchParams.get('path');
+    if (!path) return new Response('Path is required', { status: 400 });
+    if (!can(user, 'read', path)) return forbidden();
+    const ttlHours = Number(env.DOWNLOAD_LINK_TTL) > 0 ? Number(env.DOWNLOAD_LINK_TTL) : DEFAULT_DOWNLOAD_LINK_TTL;
+    const expiresAt = Math.floor(Date.now() / 1000) + Math.round(ttlHours * 60 * 60);
+    const signature = await hmacHex(env, `download:${path}:${expiresAt}`);
+    const encodedPath = path.split('/').map(segment => encodeURIComponent(segment)).join('/');
+    return jsonResponse({
+      url: `/api/download/${encodedPath}?expires=${expiresAt}&signature=${signature}`,
+      expiresAt: expiresAt * 1000,
+    });
+  }
+
+  async function verifySignedDownload(env, url) {
+    const expiresAt = url.searchParams.get('expires');
+    const signature = url.searchParams.get('signature');
+    if (!signature || !(Number(expiresAt) * 1000 > Date.now())) return false;
+    const objectKey = decodePathname(url.pathname.substring('/api/download/'.length));
+    if (objectKey === null) return false;
+    return timingSafeEqual(signature, await hmacHex(env, `download:${objectKey}:${expiresAt}`));
+  }
+
+  // URL 中的路径可能包含不完整的百分号编码，decodeURIComponent 会抛出异常，此时返回 null
+  function decodePathname(encoded) {
+    try {
+      return decodeURIComponent(encoded);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // --- 加密工具 ---
+  const encoder = new TextEncoder();
+
+  function toHex(buffer) {
+    return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * 使用 SECRET_KEY 计算 HMAC-SHA256。
+   * 未设置 SECRET_KEY 时由 PASSWORD 和 USERS 派生，修改它们会使已签发的令牌全部失效。
+   */
+  async function hmacHex(env, message) {
+    const secret = env.SECRET_KEY || `simpleR2drive:${env.PASSWORD || ''}:${env.USERS || ''}`;
+    const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+  }
+
+  async function sha256Hex(text) {
+    return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(text)));
+  }
+
+  /**
+   * 使用 PBKDF2 对密码加盐哈希
+   * @param {string} password 
+   * @param {string} salt 
+   */
+  async function hashPassword(password, salt) {
+    const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: 100000 }, key, 256);
+    return toHex(bits);
+  }
+
+  /**
+   * 生成 URL 安全的随机令牌
+   * @param {number} byteLength 
+   */
+  function randomToken(byteLength = 16) {
+    const bytes = crypto.getRandomValues(new Uint8Array(byteLength));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  // 比较两个字符串，耗时与内容无关
+  function timingSafeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+  }
+
+  function getCookie(request, name) {
+    const cookies = request.headers.get('Cookie') || '';
+    for (const part of cookies.split(';')) {
+      const [key, ...value] = part.trim().split('=');
+      if (key === name) return value.join('=');
+    }
+    return null;
+  }
+
   // --- API 处理函数 (保持不变) ---
   
-  async function handleList(request, env) {
+  function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+  }
+
+  // 解析 JSON 请求体，格式不正确或不是对象时返回 null，由调用方返回 400
+  async function readJson(request) {
+    try {
+      const body = await request.json();
+      return body !== null && typeof body === 'object' ? body : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function invalidJsonResponse() {
+    return new Response('Invalid JSON body', { status: 400 });
+  }
+
+  // R2 单次 list 最多返回 1000 条
+  const MAX_LIST_LIMIT = 1000;
+
+  async function handleList(request, env, user) {
     const url = new URL(request.url);
     const path = url.searchParams.get('path') || '';
-    const list = await env.MY_DRIVE_BUCKET.list({ prefix: path, delimiter: '/' });
-    const files = list.objects.map(obj => ({ name: obj.key.substring(path.length), path: obj.key, size: obj.size, type: 'file', uploaded: obj.uploaded }));
+    if (!canSee(user, path)) return forbidden();
+    const page = await listDirectory(env.MY_DRIVE_BUCKET, path, url.searchParams);
+    // access 为当前用户对该条目的角色，前端据此隐藏无权执行的操作
+    page.items = page.items
+      .filter(item => !isReservedPath(item.path) && canSee(user, item.path))
+      .map(item => ({ ...item, access: getRole(user, item.path) }));
+    page.access = getRole(user, path);
+    // 已经生成过用量统计时，为文件夹附上其中的文件数和总大小；启用了配额时还要返回剩余空间。
+    // 列表只读取缓存，统计由定时任务和存储用量接口生成，不在这里扫描整个存储桶
+    const quota = getQuota(env);
+    const stats = await getUsage(env);
+    if (quota !== null) page.quota = describeQuota(quota, stats, path);
+    if (stats !== null) {
+      const folderUsage = new Map(summarizeUsage(stats, path, user).folders.map(folder => [folder.path, folder]));
+      page.items = page.items.map(item => {
+        const usage = item.type === 'folder' && folderUsage.get(item.path);
+        return usage ? { ...item, size: usage.bytes, files: usage.files } : item;
+      });
+    }
+    return jsonResponse(page);
+  }
+
+  /**
+   * 列出目录的一页内容
+   * @param {R2Bucket} bucket 
+   * @param {string} path 目录前缀
+   * @param {URLSearchParams} params 可包含 cursor 和 limit
+   */
+  async function listDirectory(bucket, path, params) {
+    const limit = parseInt(params.get('limit'), 10);
+    const list = await bucket.list({
+      prefix: path,
+      delimiter: '/',
+      cursor: params.get('cursor') || undefined,
+      limit: limit > 0 ? Math.min(limit, MAX_LIST_LIMIT) : MAX_LIST_LIMIT,
+      include: ['httpMetadata', 'customMetadata'],
+    });
+    const files = list.objects.map(toFileItem);
     const folders = list.delimitedPrefixes.map(prefix => ({ name: prefix.substring(path.length), path: prefix, type: 'folder' }));
-    return new Response(JSON.stringify([...folders, ...files]), { headers: { 'Content-Type': 'application/json' } });
+    return {
+      items: [...folders, ...files],
+      cursor: list.truncated ? list.cursor : null,
+      truncated: list.truncated,
+    };
+  }
+
+  function toFileItem(obj) {
+    return {
+      name: obj.key.split('/').pop(),
+      path: obj.key,
+      size: obj.size,
+      type: 'file',
+      uploaded: obj.uploaded,
+      etag: obj.etag,
+      ...describeMetadata(obj),
+    };
+  }
+
+  // --- 搜索 ---
+  // GET /api/search?q=&mode=&path=  在 path 文件夹及其所有子文件夹中按名称搜索文件。
+  // mode 为 substring（默认）、glob 或 regex，均不区分大小写；关键词包含 '/' 时匹配相对 path 的完整路径，否则只匹配文件名。
+  // regex 只支持常用语法（见 compileSafeRegExp），不支持反向引用和前后断言。
+  // 可选过滤条件：minSize / maxSize（字节）、after / before（上传时间，before 不含）、ext（逗号分隔的扩展名）。
+  // 每次请求最多扫描 SEARCH_SCAN_LIMIT 个对象，结果未取完时返回 cursor（最后扫描的键），带上它继续请求下一页。
+  const SEARCH_SCAN_LIMIT = 5000;
+  const MAX_SEARCH_RESULTS = 200;
+  const MAX_SEARCH_PATTERN_LENGTH = 200;
+  // 比所有系统保留路径都大的键，遇到保留路径时从这里继续列出
+  const SYSTEM_PREFIX_END = `${SYSTEM_PREFIX}\u{10FFFF}`;
+
+  async function handleSearch(request, env, user) {
+    if (request.method !== 'GET') return new Response('Method Not Allowed', { status: 405 });
+    const params = new URL(request.url).searchParams;
+    const path = params.get('path') || '';
+    if (path && !path.endsWith('/')) return new Response('path must be a folder', { status: 400 });
+    if (!canSee(user, path)) return forbidden();
+    const { matches, error } = parseSearchQuery(params);
+    if (error) return new Response(error, { status: 400 });
+    const limit = parseInt(params.get('limit'), 10);
+    const maxResults = limit > 0 ? Math.min(limit, MAX_SEARCH_RESULTS) : MAX_SEARCH_RESULTS;
+
+    const items = [];
+    let startAfter = params.get('cursor') || undefined;
+    let scanned = 0;
+    let finished = false;
+    try {
+      scan: while (scanned < SEARCH_SCAN_LIMIT) {
+        const list = await env.MY_DRIVE_BUCKET.list({
+          prefix: path,
+          startAfter,
+          limit: Math.min(MAX_LIST_LIMIT, SEARCH_SCAN_LIMIT - scanned),
+          include: ['httpMetadata', 'customMetadata'],
+        });
+        for (const obj of list.objects) {
+          if (isReservedPath(obj.key)) {
+            startAfter = SYSTEM_PREFIX_END;
+            continue scan;
+          }
+          scanned++;
+          startAfter = obj.key;
+          if (can(user, 'list', obj.key) && matches(obj.key.substring(path.length), obj)) {
+            items.push({ ...toFileItem(obj), access: getRole(user, obj.key) });
+            if (items.length >= maxResults) break scan;
+          }
+        }
+        if (!list.truncated) {
+          finished = true;
+          break;
+        }
+      }
+    } catch (e) {
+      // 正则匹配的计算量超出上限，换一个更简单的写法或缩小搜索范围
+      if (e.message === PATTERN_TOO_EXPENSIVE) return new Response(PATTERN_TOO_EXPENSIVE, { status: 400 });
+      throw e;
+    }
+    return jsonResponse({ items, scanned, cursor: finished ? null : startAfter, truncated: !finished });
+  }
+
+  /**
+   * 解析搜索关键词和过滤条件
+   * @param {URLSearchParams} params
+   * @returns {{matches?: (relativePath: string, object: R2Object) => boolean, error?: string}}
+   */
+  function parseSearchQuery(params) {
+    const query = (params.get('q') || '').trim();
+    if (query.length > MAX_SEARCH_PATTERN_LENGTH) return { error: 'Search query is too long' };
+    const mode = params.get('mode') || 'substring';
+    let pattern;
+    if (mode === 'substring') {
+      const lowerQuery = query.toLowerCase();
+      pattern = { test: text => text.toLowerCase().includes(lowerQuery) };
+    } else if (mode === 'glob' || mode === 'regex') {
+      try {
+        pattern = mode === 'glob' ? globToPattern(query) : compileSafeRegExp(query);
+      } catch (e) {
+        return { error: e.message };
+      }
+    } else {
+      return { error: `Unknown search mode: ${mode}` };
+    }
+    const matchFullPath = query.includes('/');
+
+    const bounds = {};
+    for (const [name, parse] of [['minSize', Number], ['maxSize', Number], ['after', Date.parse], ['before', Date.parse]]) {
+      const value = params.get(name);
+      if (!value) continue;
+      bounds[name] = parse(value);
+      if (!Number.isFinite(bounds[name])) return { error: `Invalid ${name}` };
+    }
+    const extensions = new Set((params.get('ext') || '').split(',')
+      .map(ext => ext.trim().replace(/^\./, '').toLowerCase())
+      .filter(Boolean));
+    if (!query && extensions.size === 0 && Object.keys(bounds).length === 0) {
+      return { error: 'A search query or filter is required' };
+    }
+
+    const matches = (relativePath, obj) => {
+      const name = relativePath.split('/').pop();
+      if (query && !pattern.test(matchFullPath ? relativePath : name)) return false;
+      if (extensions.size > 0 && !extensions.has(fileExtension(name))) return false;
+      if (bounds.minSize !== undefined && obj.size < bounds.minSize) return false;
+      if (bounds.maxSize !== undefined && obj.size > bounds.maxSize) return false;
+      const uploaded = new Date(obj.uploaded).getTime();
+      if (bounds.after !== undefined && uploaded < bounds.after) return false;
+      if (bounds.before !== undefined && uploaded >= bounds.before) return false;
+      return true;
+    };
+    return { matches };
+  }
+
+  /**
+   * 把通配符转换为匹配器：* 匹配除 '/' 外的任意字符，** 可以跨越多层文件夹（包括零层），? 匹配单个字符
+   * @param {string} glob
+   * @returns {{test: (text: string) => boolean}}
+   */
+  function globToPattern(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+      if (glob.startsWith('**/', i)) {
+        source += '(?:.*/)?';
+        i += 2;
+      } else if (glob.startsWith('**', i)) {
+        source += '.*';
+        i++;
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    return compileSafeRegExp(`^${source}$`);
+  }
+
+  // --- 安全的正则匹配 ---
+  // 用户输入的正则不交给 RegExp：回溯实现遇到 (a+)+ 之类的写法时耗时呈指数增长。
+  // 这里把正则编译为 NFA 并同时跟踪所有状态，耗时与 模式长度 × 文本长度 成正比。
+  // 支持字符、.、字符类 [...]、\d \w \s 等转义、^ $、分组 (...) (?:...)、| 以及 * + ? {m,n} 量词；
+  // 不支持反向引用、前后断言和 \b。匹配不区分大小写。
+  // 一次搜索要匹配数千个键，编译出的匹配器累计处理的状态数超过 MAX_PATTERN_STEPS 时抛出 PATTERN_TOO_EXPENSIVE。
+  const MAX_PATTERN_STATES = 2000;
+  const MAX_PATTERN_STEPS = 10 * 1000 * 1000;
+  const PATTERN_TOO_EXPENSIVE = 'Search pattern is too expensive';
+
+  /**
+   * 编译正则表达式，语法不支持或过于复杂时抛出错误。
+   * 返回的匹配器在多次 test 之间共用 MAX_PATTERN_STEPS 的计算量，每次搜索应重新编译
+   * @param {string} source
+   * @returns {{test: (text: string) => boolean}}
+   */
+  function compileSafeRegExp(source) {
+    const ast = parseSafeRegExp(source);
+    const states = [];
+    const addState = state => {
+      if (states.length >= MAX_PATTERN_STATES) throw new Error('Regular expression is too complex');
+      states.push(state);
+      return states.length - 1;
+    };
+    // 从后往前生成状态，next 为匹配完当前节点后进入的状态
+    const compile = (node, next) => {
+      switch (node.type) {
+        case 'char':
+          return addState({ type: 'char', test: node.test, negated: !!node.negated, out: next });
+        case 'assert':
+          return addState({ type: 'assert', atStart: node.atStart, out: next });
+        case 'seq':
+          return node.items.reduceRight((out, item) => compile(item, out), next);
+        case 'alt': {
+          let start = compile(node.options[node.options.length - 1], next);
+          for (let i = node.options.length - 2; i >= 0; i--) {
+            start = addState({ type: 'split', out: compile(node.options[i], next), out2: start });
+          }
+          return start;
+        }
+        case 'repeat': {
+          let start = next;
+          if (node.max === Infinity) {
+            const loop = addState({ type: 'split', out: -1, out2: next });
+            states[loop].out = compile(node.node, loop);
+            start = loop;
+          } else {
+            for (let i = node.min; i < node.max; i++) {
+              start = addState({ type: 'split', out: compile(node.node, start), out2: next });
+            }
+          }
+          for (let i = 0; i < node.min; i++) start = compile(node.node, start);
+          return start;
+        }
+        default:
+          return next;
+      }
+    };
+    const matchState = addState({ type: 'match' });
+    const startState = compile(ast, matchState);
+    let steps = 0;
+
+    return {
+      test(text) {
+        const chars = Array.from(text);
+        const visited = new Int32Array(states.length).fill(-1);
+        let current = [];
+        let found = false;
+        // 沿空转移加入状态，遇到断言时按当前位置判断
+        const add = (list, index, pos) => {
+          if (visited[index] === pos) return;
+          visited[index] = pos;
+          if (++steps > MAX_PATTERN_STEPS) throw new Error(PATTERN_TOO_EXPENSIVE);
+          const state = states[index];
+          if (state.type === 'split') {
+            add(list, state.out, pos);
+            add(list, state.out2, pos);
+          } else if (state.type === 'assert') {
+            if (state.atStart ? pos === 0 : pos === chars.length) add(list, state.out, pos);
+          } else if (state.type === 'match') {
+            found = true;
+          } else {
+            list.push(index);
+          }
+        };
+        for (let pos = 0; ; pos++) {
+          // 不要求从开头匹配，每个位置都可以开始
+          add(current, startState, pos);
+          if (found) return true;
+          if (pos === chars.length) return false;
+          const char = chars[pos];
+          const lower = char.toLowerCase();
+          const upper = char.toUpperCase();
+          const next = [];
+          for (const index of current) {
+            const { test, negated, out } = states[index];
+            // 取反的字符类在忽略大小写之后再取反，[^a] 不能匹配 'A'
+            if ((test(char) || test(lower) || test(upper)) !== negated) add(next, out, pos + 1);
+          }
+          current = next;
+        }
+      },
+    };
+  }
+
+  /**
+   * 把正则表达式解析为语法树
+   * @param {string} source
+   */
+  function parseSafeRegExp(source) {
+    let pos = 0;
+    const fail = message => {
+      throw new Error(`${message} at position ${pos} in regular expression`);
+    };
+    const single = char => ({ type: 'char', test: c => c === char });
+    const isDigit = c => c >= '0' && c <= '9';
+    const isWord = c => isDigit(c) || (c >= 'a' && c <= 'z') || (c >= 'A' && c <= 'Z') || c === '_';
+    const isSpace = c => /\s/.test(c);
+    const CLASS_ESCAPES = {
+      d: isDigit, D: c => !isDigit(c),
+      w: isWord, W: c => !isWord(c),
+      s: isSpace, S: c => !isSpace(c),
+    };
+    const CONTROL_ESCAPES = { t: '\t', n: '\n', r: '\r', f: '\f', v: '\v', 0: '\0' };
+
+    // 读取 \ 之后的转义，返回匹配函数或单个字符
+    const parseEscape = () => {
+      const char = source[pos++];
+      if (char === undefined) fail('Trailing backslash');
+      if (CLASS_ESCAPES[char]) return CLASS_ESCAPES[char];
+      if (CONTROL_ESCAPES[char]) return CONTROL_ESCAPES[char];
+      if (char === 'u' || char === 'x') {
+        const length = char === 'u' ? 4 : 2;
+        const hex = source.substr(pos, length);
+        if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) fail('Invalid escape');
+        pos += length;
+        return String.fromCharCode(parseInt(hex, 16));
+      }
+      if (/[0-9A-Za-z]/.test(char)) fail(`Unsupported escape \\${char}`);
+      return char;
+    };
+
+    const parseClass = () => {
+      const negated = source[pos] === '^';
+      if (negated) pos++;
+      const tests = [];
+      while (source[pos] !== ']') {
+        if (pos >= source.length) fail('Unterminated character class');
+        let low = source[pos++];
+        if (low === '\\') low = parseEscape();
+        if (typeof low === 'function') {
+          tests.push(low);
+          continue;
+        }
+        if (source[pos] === '-' && source[pos + 1] !== ']' && pos + 1 < source.length) {
+          pos++;
+          let high = source[pos++];
+          if (high === '\\') high = parseEscape();
+          if (typeof high === 'function' || high < low) fail('Invalid character class range');
+          tests.push(c => c >= low && c <= high);
+        } else {
+          tests.push(c => c === low);
+        }
+      }
+      pos++;
+      return { type: 'char', test: c => tests.some(test => test(c)), negated };
+    };
+
+    const parseAtom = () => {
+      const char = source[pos++];
+      switch (char) {
+        case '(': {
+          if (source[pos] === '?') {
+            if (source[pos + 1] !== ':') fail('Unsupported group');
+            pos += 2;
+          }
+          const node = parseAlternation();
+          if (source[pos] !== ')') fail('Unterminated group');
+          pos++;
+          return node;
+        }
+        case '[':
+          return parseClass();
+        case '.':
+          return { type: 'char', test: c => c !== '\n' && c !== '\r' };
+        case '^':
+          return { type: 'assert', atStart: true };
+        case '$':
+          return { type: 'assert', atStart: false };
+        case '\\': {
+          const escaped = parseEscape();
+          return typeof escaped === 'function' ? { type: 'char', test: escaped } : single(escaped);
+        }
+        case '*': case '+': case '?':
+          return fail('Nothing to repeat');
+        case ')':
+          return fail('Unmatched )');
+        default:
+          return single(char);
+      }
+    };
+
+    // 读取原子之后的量词，没有时返回 null
+    const parseQuantifier = () => {
+      const char = source[pos];
+      let range = null;
+      if (char === '*') range = [0, Infinity];
+      else if (char === '+') range = [1, Infinity];
+      else if (char === '?') range = [0, 1];
+      else if (char === '{') {
+        const match = /^\{(\d+)(,(\d*))?\}/.exec(source.substring(pos));
+        if (!match) return null;
+        const min = Number(match[1]);
+        const max = match[2] === undefined ? min : match[3] === '' ? Infinity : Number(match[3]);
+        if (max < min) fail('Invalid quantifier range');
+        pos += match[0].length - 1;
+        range = [min, max];
+      }
+      if (range === null) return null;
+      pos++;
+      // 非贪婪量词只影响匹配到的位置，不影响是否匹配
+      if (source[pos] === '?') pos++;
+      return range;
+    };
+
+    const parseSequence = () => {
+      const items = [];
+      while (pos < source.length && source[pos] !== '|' && source[pos] !== ')') {
+        let node = parseAtom();
+        for (let range = parseQuantifier(); range !== null; range = parseQuantifier()) {
+          if (node.type === 'assert') fail('Nothing to repeat');
+          node = { type: 'repeat', node, min: range[0], max: range[1] };
+        }
+        items.push(node);
+      }
+      return { type: 'seq', items };
+    };
+
+    const parseAlternation = () => {
+      const options = [parseSequence()];
+      while (source[pos] === '|') {
+        pos++;
+        options.push(parseSequence());
+      }
+      return options.length === 1 ? options[0] : { type: 'alt', options };
+    };
+
+    const ast = parseAlternation();
+    if (pos < source.length) fail('Unmatched )');
+    return ast;
+  }
+
+  // --- 用量统计 ---
+  // GET /api/stats?path=  返回文件夹（含子文件夹）的文件数和总大小、各子文件夹和各扩展名的用量，以及最大的文件。
+  // POST /api/stats/refresh?path=  重新扫描该文件夹。
+  // 统计结果缓存在 STATS_KEY 中，按文件夹记录直接包含的文件，文件夹的总用量在读取时汇总。
+  // 第一次查看时扫描整个存储桶。之后单个文件的上传、删除、移动等操作按文件大小的变化直接修改缓存，
+  // 文件夹操作和批量删除重新列出受影响的文件夹（文件夹操作为整棵子树），定时任务定期完整统计一次。
+  // 每个文件夹记录扫描开始的时间，并发更新时只保留较新的扫描结果。
+  const STATS_KEY = `${STATS_PREFIX}usage.json`;
+  const STATS_LARGEST_FILES = 20;
+  // 缓存中多保留一些大文件，删除其中几个后仍能列出足够的条目
+  const STATS_LARGEST_KEPT = 50;
+  const STATS_UPDATE_RETRIES = 3;
+
+  async function handleStats(request, env, user, operation) {
+    const path = new URL(request.url).searchParams.get('path') || '';
+    if (path && !path.endsWith('/')) return new Response('path must be a folder', { status: 400 });
+    if (!canSee(user, path)) return forbidden();
+    let stats;
+    if (operation === 'refresh') {
+      if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
+      // 还没有统计时需要扫描整个存储桶
+      const exists = (await env.MY_DRIVE_BUCKET.head(STATS_KEY)) !== null;
+      stats = await updateUsage(env, exists ? path : '', true);
+    } else if (operation) {
+      return new Response('Stats action not found.', { status: 404 });
+    } else {
+      if (request.method !== 'GET') return new Response('Method Not Allowed', { status: 405 });
+      stats = await loadUsage(env);
+    }
+    if (stats === null) return new Response('Usage stats are being updated, please retry', { status: 503 });
+    return jsonResponse(summarizeUsage(stats, path, user));
+  }
+
+  async function getUsage(env) {
+    const cached = await env.MY_DRIVE_BUCKET.get(STATS_KEY);
+    return cached === null ? null : await cached.json();
+  }
+
+  // 读取用量统计，还没有时先完整统计一次
+  async function loadUsage(env) {
+    return (await getUsage(env)) || (await updateUsage(env, '', true));
+  }
+
+  /**
+   * 文件或文件夹变化后重新统计。还没有生成过统计时直接跳过，除非 create 为 true
+   * @param {Object} env
+   * @param {string} path 文件路径（统计其所在文件夹直接包含的文件），或以 '/' 结尾的文件夹路径（统计整棵子树），'' 为整个存储桶
+   * @param {boolean} create 没有统计时是否新建
+   * @returns {Promise<Object|null>} 更新后的统计，跳过或多次冲突后返回 null
+   */
+  async function updateUsage(env, path, create = false) {
+    const bucket = env.MY_DRIVE_BUCKET;
+    if (!create && (await bucket.head(STATS_KEY)) === null) return null;
+    const recursive = path === '' || path.endsWith('/');
+    const prefix = recursive ? path : parentFolder(path);
+    const usage = await scanUsage(bucket, prefix, recursive);
+    for (let attempt = 0; attempt < STATS_UPDATE_RETRIES; attempt++) {
+      const cached = await bucket.get(STATS_KEY);
+      if (cached === null && !create) return null;
+      const stats = cached === null ? { folders: {}, largest: [] } : await cached.json();
+      mergeUsage(stats, prefix, recursive, usage);
+      if (prefix === '' && recursive) stats.rebuiltAt = new Date(usage.scannedAt).toISOString();
+      stats.updatedAt = new Date().toISOString();
+      // 与其他请求同时更新时重新读取后再合并
+      const saved = await bucket.put(STATS_KEY, JSON.stringify(stats), {
+        httpMetadata: { contentType: 'application/json' },
+        onlyIf: cached === null ? new Headers({ 'If-None-Match': '*' }) : { etagMatches: cached.etag },
+      });
+      if (saved !== null) return stats;
+    }
+    console.error(`Failed to update usage stats for ${path}`);
+    return null;
+  }
+
+  /**
+   * 列出文件夹并按所在文件夹汇总用量，跳过系统保留路径
+   * @param {R2Bucket} bucket
+   * @param {string} prefix 文件夹路径
+   * @param {boolean} recursive 为 false 时只统计直接包含的文件
+   */
+  async function scanUsage(bucket, prefix, recursive) {
+    const usage = { scannedAt: Date.now(), folders: {}, largest: [] };
+    const subfolders = [];
+    let cursor;
+    do {
+      const list = await bucket.list({ prefix, delimiter: '/', cursor });
+      list.objects.forEach(object => addUsage(usage, object));
+      subfolders.push(...list.delimitedPrefixes);
+      cursor = list.truncated ? list.cursor : undefined;
+    } while (cursor);
+    if (recursive) {
+      for (const folder of subfolders) {
+        if (isReservedPath(folder)) continue;
+        for await (const object of listAllObjects(bucket, folder)) addUsage(usage, object);
+      }
+    }
+    usage.largest = largestFiles(usage.largest);
+    return usage;
+  }
+
+  /**
+   * 单个文件写入或删除后按大小的变化修改缓存的统计，不必重新列出所在的文件夹
+   * @param {Object} env
+   * @param {string} path 文件路径
+   * @param {R2Object|null} before 变化前的文件，原来不存在时为 null
+   * @param {R2Object|null} after 变化后的文件，已删除时为 null
+   * @returns {Promise<Object|null>} 更新后的统计，还没有统计或多次冲突后返回 null
+   */
+  async function updateFileUsage(env, path, before, after) {
+    if (path.endsWith('/') || isReservedPath(path) || (before === null && after === null)) return null;
+    const bucket = env.MY_DRIVE_BUCKET;
+    for (let attempt = 0; attempt < STATS_UPDATE_RETRIES; attempt++) {
+      const cached = await bucket.get(STATS_KEY);
+      if (cached === null) return null;
+      const stats = await cached.json();
+      applyFileUsage(stats, path, before, after);
+      stats.updatedAt = new Date().toISOString();
+      const saved = await bucket.put(STATS_KEY, JSON.stringify(stats), {
+        httpMetadata: { contentType: 'application/json' },
+        onlyIf: { etagMatches: cached.etag },
+      });
+      if (saved !== null) return stats;
+    }
+    console.error(`Failed to update usage stats for ${path}`);
+    return null;
+  }
+
+  function applyFileUsage(stats, path, before, after) {
+    const folder = parentFolder(path);
+    const extension = fileExtension(path);
+    const entry = stats.folders[folder] || (stats.folders[folder] = { files: 0, bytes: 0, types: {} });
+    const type = entry.types[extension] || (entry.types[extension] = { files: 0, bytes: 0 });
+    const files = (after ? 1 : 0) - (before ? 1 : 0);
+    const bytes = (after ? after.size : 0) - (before ? before.size : 0);
+    entry.files += files;
+    entry.bytes += bytes;
+    type.files += files;
+    type.bytes += bytes;
+    // 之前开始的扫描不包含这次变化，合并时不能覆盖
+    entry.scannedAt = Date.now();
+    if (type.files <= 0) delete entry.types[extension];
+    if (entry.files <= 0) delete stats.folders[folder];
+    stats.largest = largestFiles([
+      ...stats.largest.filter(file => file.path !== path),
+      ...(after ? [{ path, size: after.size, uploaded: after.uploaded }] : []),
+    ]);
+  }
+
+  function addUsage(usage, object) {
+    // 文件夹标记没有内容，不计入文件数
+    if (object.key.endsWith('/')) return;
+    const folder = parentFolder(object.key);
+    const entry = usage.folders[folder] || (usage.folders[folder] = { files: 0, bytes: 0, types: {}, scannedAt: usage.scannedAt });
+    const extension = fileExtension(object.key);
+    const type = entry.types[extension] || (entry.types[extension] = { files: 0, bytes: 0 });
+    entry.files++;
+    entry.bytes += object.size;
+    type.files++;
+    type.bytes += object.size;
+    usage.largest.push({ path: object.key, size: object.size, uploaded: object.uploaded });
+    if (usage.largest.length > STATS_LARGEST_KEPT * 2) usage.largest = largestFiles(usage.largest);
+  }
+
+  /**
+   * 用扫描结果替换缓存中对应范围内的文件夹，缓存中比这次扫描更新的文件夹保持不变
+   */
+  function mergeUsage(stats, prefix, recursive, usage) {
+    const inScope = folder => (recursive ? folder.startsWith(prefix) : folder === prefix);
+    const replaced = new Set();
+    for (const folder of new Set([...Object.keys(stats.folders).filter(inScope), ...Object.keys(usage.folders)])) {
+      const current = stats.folders[folder];
+      if (current && current.scannedAt > usage.scannedAt) continue;
+      replaced.add(folder);
+      if (usage.folders[folder]) stats.folders[folder] = usage.folders[folder];
+      else delete stats.folders[folder];
+    }
+    stats.largest = largestFiles([
+      ...stats.largest.filter(file => !replaced.has(parentFolder(file.path))),
+      ...usage.largest.filter(file => replaced.has(parentFolder(file.path))),
+    ]);
+  }
+
+  function largestFiles(files) {
+    return files.sort((a, b) => b.size - a.size).slice(0, STATS_LARGEST_KEPT);
+  }
+
+  /**
+   * 汇总 path 下当前用户可以列出的文件夹
+   * @param {Object} stats 缓存的统计
+   * @param {string} path 文件夹路径
+   * @param {Object} user
+   */
+  function summarizeUsage(stats, path, user) {
+    const total = { files: 0, bytes: 0 };
+    const folders = {};
+    const types = {};
+    const add = (target, usage) => {
+      target.files += usage.files;
+      target.bytes += usage.bytes;
+    };
+    for (const [folder, entry] of Object.entries(stats.folders)) {
+      if (!folder.startsWith(path) || !can(user, 'list', folder)) continue;
+      add(total, entry);
+      for (const [extension, usage] of Object.entries(entry.types)) {
+        add(types[extension] || (types[extension] = { files: 0, bytes: 0 }), usage);
+      }
+      // 按 path 下的第一级子文件夹归类，直接位于 path 中的文件不属于任何子文件夹
+      const child = folder.substring(path.length).split('/')[0];
+      if (child) {
+        const childPath = `${path}${child}/`;
+        add(folders[childPath] || (folders[childPath] = { files: 0, bytes: 0 }), entry);
+      }
+    }
+    const bySize = (a, b) => b.bytes - a.bytes;
+    return {
+      path,
+      updatedAt: stats.updatedAt,
+      rebuiltAt: stats.rebuiltAt || null,
+      ...total,
+      folders: Object.entries(folders).map(([folderPath, usage]) => ({ path: folderPath, ...usage })).sort(bySize),
+      types: Object.entries(types).map(([extension, usage]) => ({ extension, ...usage })).sort(bySize),
+      largest: stats.largest
+        .filter(file => file.path.startsWith(path) && can(user, 'list', file.path))
+        .slice(0, STATS_LARGEST_FILES),
+    };
+  }
+
+  function parentFolder(path) {
+    return path.substring(0, path.lastIndexOf('/') + 1);
+  }
+
+  function fileExtension(path) {
+    const name = path.split('/').pop();
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? name.substring(dot + 1).toLowerCase() : '';
+  }
+
+  // --- 存储配额 ---
+  // QUOTA_TOTAL 限制整个网盘的总大小，QUOTA_MAX_FILE_SIZE 限制单个文件的大小，
+  // QUOTAS 为 JSON 对象，键为路径前缀，值为该前缀下所有文件的总大小上限，例如 {"team-a/": "50GB"}。
+  // 大小可以是字节数，也可以带 KB / MB / GB / TB 单位（按 1024 换算）。
+  // 上传前按请求声明的大小检查，已用空间取自用量统计，回收站和历史版本不计入。
+  const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+  let quotaCache = { source: null, quota: null };
+
+  function parseSize(value) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([KMGT]?B)?\s*$/i.exec(String(value));
+    if (!match) throw new Error(`Invalid size '${value}' in quota configuration`);
+    return Math.floor(Number(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()]);
+  }
+
+  /**
+   * 解析配额配置，没有配置任何配额时返回 null
+   * @returns {{maxFileSize: number|null, limits: Array<{path: string, limit: number}>}|null}
+   */
+  function getQuota(env) {
+    const source = JSON.stringify([env.QUOTA_TOTAL, env.QUOTA_MAX_FILE_SIZE, env.QUOTAS]);
+    if (quotaCache.source !== source) {
+      const limits = [];
+      if (env.QUOTA_TOTAL) limits.push({ path: '', limit: parseSize(env.QUOTA_TOTAL) });
+      if (env.QUOTAS) {
+        let prefixes;
+        try {
+          prefixes = JSON.parse(env.QUOTAS);
+        } catch (e) {
+          throw new Error('Invalid QUOTAS configuration: ' + e.message);
+        }
+        for (const [prefix, limit] of Object.entries(prefixes)) {
+          limits.push({ path: prefix.replace(/^\/+/, ''), limit: parseSize(limit) });
+        }
+      }
+      const maxFileSize = env.QUOTA_MAX_FILE_SIZE ? parseSize(env.QUOTA_MAX_FILE_SIZE) : null;
+      quotaCache = { source, quota: limits.length > 0 || maxFileSize !== null ? { maxFileSize, limits } : null };
+    }
+    return quotaCache.quota;
+  }
+
+  // 已用空间取自用量统计。完整统计需要扫描整个存储桶，不能放在上传请求中进行，
+  // 由定时任务或“存储用量”面板生成，在此之前无法检查容量配额
+  function usageMissingResponse() {
+    return jsonResponse({ error: 'Usage stats not built' }, 503);
+  }
+
+  /**
+   * 检查向 path 写入 size 字节是否超出配额，覆盖已有文件时扣除原文件的大小
+   * @param {Object} env
+   * @param {string} path 文件路径
+   * @param {string|null} declaredSize 请求声明的文件大小（Content-Length 或 X-Upload-Size）
+   * @returns {Promise<Response|null>} 超出时返回 413 或 507 响应
+   */
+  async function checkQuota(env, path, declaredSize) {
+    const quota = getQuota(env);
+    if (quota === null) return null;
+    const size = declaredSize ? Number(declaredSize) : NaN;
+    if (!(size >= 0)) return new Response('File size is required when quotas are enabled', { status: 411 });
+    if (quota.maxFileSize !== null && size > quota.maxFileSize) {
+      return jsonResponse({ error: 'File too large', size, maxFileSize: quota.maxFileSize }, 413);
+    }
+    const limits = quota.limits.filter(({ path: prefix }) => path.startsWith(prefix));
+    if (limits.length === 0) return null;
+    const stats = await getUsage(env);
+    if (stats === null) return usageMissingResponse();
+    const existing = await env.MY_DRIVE_BUCKET.head(path);
+    const added = size - (existing ? existing.size : 0);
+    for (const { path: prefix, limit } of limits) {
+      const used = usedBytes(stats, prefix);
+      if (used + added > limit) {
+        return jsonResponse({ error: 'Insufficient storage', path: prefix, limit, used, remaining: Math.max(0, limit - used) }, 507);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 检查复制、移动或恢复是否超出配额。移动时从同一配额范围内移出的大小不再占用空间，
+   * 回收站和历史版本不计入用量，从中恢复时按新增计算
+   * @param {Object} env
+   * @param {string} from 源路径，文件夹以 / 结尾
+   * @param {string} to 目标路径
+   * @param {boolean} removeSource 是否删除源对象
+   * @returns {Promise<Response|null>} 超出时返回 413 或 507 响应
+   */
+  async function checkTransferQuota(env, from, to, removeSource) {
+    const quota = getQuota(env);
+    if (quota === null) return null;
+    const source = await objectSizes(env.MY_DRIVE_BUCKET, from);
+    for (const size of source.values()) {
+      if (quota.maxFileSize !== null && size > quota.maxFileSize) {
+        return jsonResponse({ error: 'File too large', size, maxFileSize: quota.maxFileSize }, 413);
+      }
+    }
+    if (quota.limits.length === 0) return null;
+    // 目标中同名的文件会被覆盖，扣除其大小
+    const target = await objectSizes(env.MY_DRIVE_BUCKET, to);
+    let stats;
+    for (const { path: prefix, limit } of quota.limits) {
+      let added = 0;
+      for (const [name, size] of source) {
+        if ((to + name).startsWith(prefix)) added += size - (target.get(name) || 0);
+        if (removeSource && !isReservedPath(from) && (from + name).startsWith(prefix)) added -= size;
+      }
+      if (added <= 0) continue;
+      if (stats === undefined) stats = await getUsage(env);
+      if (stats === null) return usageMissingResponse();
+      const used = usedBytes(stats, prefix);
+      if (used + added > limit) {
+        return jsonResponse({ error: 'Insufficient storage', path: prefix, limit, used, remaining: Math.max(0, limit - used) }, 507);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 文件或文件夹中各文件的大小
+   * @returns {Promise<Map<string, number>>} 键为相对 path 的名称，文件本身为空字符串
+   */
+  async function objectSizes(bucket, path) {
+    const sizes = new Map();
+    if (path.endsWith('/')) {
+      for await (const object of listAllObjects(bucket, path)) sizes.set(object.key.substring(path.length), object.size);
+    } else {
+      const object = await bucket.head(path);
+      if (object !== null) sizes.set('', object.size);
+    }
+    return sizes;
+  }
+
+  /**
+   * 文件夹适用的配额及其剩余空间，用于在页面中显示
+   * @param {Object} quota getQuota 的结果
+   * @param {Object|null} stats 用量统计
+   * @param {string} path 文件夹路径
+   */
+  function describeQuota(quota, stats, path) {
+    return {
+      maxFileSize: quota.maxFileSize,
+      limits: stats === null ? [] : quota.limits
+        .filter(({ path: prefix }) => path.startsWith(prefix))
+        .map(({ path: prefix, limit }) => {
+          const used = usedBytes(stats, prefix);
+          return { path: prefix, limit, used, remaining: Math.max(0, limit - used) };
+        }),
+    };
+  }
+
+  function usedBytes(stats, prefix) {
+    let bytes = 0;
+    for (const [folder, entry] of Object.entries(stats.folders)) {
+      if (folder.startsWith(prefix)) bytes += entry.bytes;
+    }
+    return bytes;
   }
   
-  async function handleUpload(request, env) {
+  async function handleUpload(request, env, user) {
     if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
     const url = new URL(request.url);
     const path = url.searchParams.get('path');
     if (!path) return new Response('Path is required', { status: 400 });
     if (request.headers.get('X-Create-Folder') === 'true') {
+      // 文件夹标记没有内容，已存在时直接返回，上传文件夹时可以重复创建中间目录
+      if (!can(user, 'write', path)) return forbidden();
+      if ((await env.MY_DRIVE_BUCKET.head(path)) !== null) {
+        return new Response(`Folder ${path} already exists.`, { status: 200 });
+      }
       await env.MY_DRIVE_BUCKET.put(path, null);
       return new Response(`Folder ${path} created.`, { status: 201 });
     }
-    await env.MY_DRIVE_BUCKET.put(path, request.body);
-    return new Response(`File ${path} uploaded.`, { status: 201 });
+    if (!isValidChecksumHeader(request)) return new Response('Invalid X-Content-SHA256', { status: 400 });
+    const metadata = uploadMetadata(request, user, path);
+    // 先检查权限，无权限的用户不能通过 412 响应得知文件是否存在及其 etag
+    const denied = await checkWritePermission(env, user, path);
+    if (denied) return denied;
+    // 条件上传：If-None-Match: * 只在文件不存在时上传，If-Match 只覆盖指定版本
+    const preconditionFailed = await checkUploadPrecondition(env, path, request.headers);
+    if (preconditionFailed) return preconditionFailed;
+    // 在读取请求体之前按 Content-Length 检查配额
+    const quotaExceeded = await checkQuota(env, path, request.headers.get('Content-Length'));
+    if (quotaExceeded) return quotaExceeded;
+    const previous = await env.MY_DRIVE_BUCKET.head(path);
+    // 写入可能因校验值或条件不满足被拒绝，此时删除刚保存的版本
+    const versionKey = await saveVersion(env, path, 'overwrite', user);
+    const conditional = request.headers.has('If-None-Match') || request.headers.has('If-Match');
+    // 检查之后写入之前仍可能被其他请求抢先，写入时由 R2 再判断一次
+    let object;
+    try {
+      // 提供了 SHA-256 时由 R2 校验收到的内容，不一致时不会写入
+      object = await env.MY_DRIVE_BUCKET.put(path, request.body, {
+        ...metadata,
+        ...(metadata.customMetadata.sha256 ? { sha256: metadata.customMetadata.sha256 } : {}),
+        ...(conditional ? { onlyIf: request.headers } : {}),
+      });
+    } catch (e) {
+      await discardVersion(env, versionKey);
+      if (/sha-?256|checksum/i.test(e.message || '')) return new Response('Checksum mismatch', { status: 422 });
+      throw e;
+    }
+    if (object === null) {
+      await discardVersion(env, versionKey);
+      return preconditionFailedResponse(await env.MY_DRIVE_BUCKET.head(path));
+    }
+    if (versionKey !== null) await pruneVersions(env, path);
+    await invalidateThumbnails(env, path);
+    await updateFileUsage(env, path, previous, object);
+    return new Response(`File ${path} uploaded.`, { status: 201, headers: { ETag: object.httpEtag } });
   }
-  
-  async function handleDelete(request, env) {
-    if (request.method !== 'DELETE') return new Response('Method Not Allowed', { status: 405 });
+
+  // --- 文件类型与元数据 ---
+  // 按扩展名推断的常见类型，上传时没有提供 Content-Type 或旧文件没有保存类型时使用
+  const MIME_TYPES = {
+    txt: 'text/plain', md: 'text/markdown', csv: 'text/csv', log: 'text/plain',
+    html: 'text/html', htm: 'text/html', css: 'text/css', js: 'text/javascript', mjs: 'text/javascript',
+    json: 'application/json', xml: 'application/xml', yaml: 'application/yaml', yml: 'application/yaml',
+    pdf: 'application/pdf', zip: 'application/zip', gz: 'application/gzip', tar: 'application/x-tar',
+    '7z': 'application/x-7z-compressed', rar: 'application/vnd.rar',
+    doc: 'application/msword', docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel', xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ppt: 'application/vnd.ms-powerpoint', pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp',
+    svg: 'image/svg+xml', bmp: 'image/bmp', ico: 'image/x-icon', avif: 'image/avif', heic: 'image/heic',
+    mp4: 'video/mp4', webm: 'video/webm', mov: 'video/quicktime', mkv: 'video/x-matroska',
+    mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg', flac: 'audio/flac', m4a: 'audio/mp4',
+    woff: 'font/woff', woff2: 'font/woff2', ttf: 'font/ttf', otf: 'font/otf',
+  };
+  const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+  /**
+   * 确定文件类型：优先使用上传时提供的具体类型，否则按扩展名推断
+   * @param {string} path 
+   * @param {string|null} declaredType 请求中的 Content-Type
+   */
+  function detectContentType(path, declaredType) {
+    const type = (declaredType || '').trim();
+    // 浏览器无法识别时会发送空值或 application/octet-stream，fetch 发送字符串时默认是 text/plain
+    if (type && !type.startsWith(DEFAULT_CONTENT_TYPE) && !type.startsWith('text/plain;charset=UTF-8')) return type;
+    const name = path.split('/').pop();
+    const ext = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    return MIME_TYPES[ext] || DEFAULT_CONTENT_TYPE;
+  }
+
+  /**
+   * 生成上传时写入的元数据。X-File-Name 为 encodeURIComponent 编码的原始文件名
+   * @returns {{httpMetadata: Object, customMetadata: Object}}
+   */
+  function uploadMetadata(request, user, path) {
+    const sha256 = (request.headers.get('X-Content-SHA256') || '').toLowerCase();
+    let originalName = path.split('/').pop();
+    const fileName = request.headers.get('X-File-Name');
+    if (fileName) {
+      try {
+        originalName = decodeURIComponent(fileName);
+      } catch (e) {
+        // 编码不正确时使用路径中的文件名
+      }
+    }
+    return {
+      httpMetadata: { contentType: detectContentType(path, request.headers.get('Content-Type')) },
+      customMetadata: {
+        originalName,
+        uploadedBy: (user && user.username) || '',
+        uploadedAt: new Date().toISOString(),
+        ...(sha256 ? { sha256 } : {}),
+      },
+    };
+  }
+
+  // 前端计算的 SHA-256，格式不正确时返回 false
+  function isValidChecksumHeader(request) {
+    const sha256 = request.headers.get('X-Content-SHA256');
+    return sha256 === null || /^[0-9a-f]{64}$/i.test(sha256);
+  }
+
+  /**
+   * 上传一个分片，请求带 X-Content-SHA256 时边上传边计算该分片的 SHA-256
+   * @param {number} length 分片大小
+   * @returns {Promise<R2UploadedPart|null>} 校验不一致时返回 null，前端需要重新上传该分片
+   */
+  async function uploadVerifiedPart(upload, partNumber, length, request) {
+    const expected = request.headers.get('X-Content-SHA256');
+    if (!expected) return upload.uploadPart(partNumber, request.body);
+    // 分流后的流没有长度信息，R2 需要用 FixedLengthStream 指定分片大小
+    const [body, hashed] = request.body.tee();
+    const sized = new FixedLengthStream(length);
+    const digestStream = new crypto.DigestStream('SHA-256');
+    const [part] = await Promise.all([
+      upload.uploadPart(partNumber, sized.readable),
+      body.pipeTo(sized.writable),
+      hashed.pipeTo(digestStream),
+    ]);
+    return toHex(await digestStream.digest) === expected.toLowerCase() ? part : null;
+  }
+
+  // 列表和元数据接口中返回的字段
+  function describeMetadata(object) {
+    const custom = object.customMetadata || {};
+    return {
+      contentType: (object.httpMetadata && object.httpMetadata.contentType) || detectContentType(object.key, null),
+      originalName: custom.originalName || null,
+      uploadedBy: custom.uploadedBy || null,
+      uploadedAt: custom.uploadedAt || null,
+      sha256: custom.sha256 || null,
+    };
+  }
+
+  /**
+   * 按 If-Match / If-None-Match 检查目标文件是否满足上传条件
+   * @returns {Promise<Response|null>} 不满足时返回 412 响应
+   */
+  async function checkUploadPrecondition(env, path, headers) {
+    const ifMatch = headers.get('If-Match');
+    const ifNoneMatch = headers.get('If-None-Match');
+    if (!ifMatch && !ifNoneMatch) return null;
+    const existing = await env.MY_DRIVE_BUCKET.head(path);
+    const matches = condition => existing !== null && condition.split(',')
+      .some(tag => tag.trim() === '*' || tag.trim() === existing.httpEtag);
+    if ((ifMatch && !matches(ifMatch)) || (ifNoneMatch && matches(ifNoneMatch))) {
+      return preconditionFailedResponse(existing);
+    }
+    return null;
+  }
+
+  // 响应头带上现有文件的 etag，前端可据此用 If-Match 确认覆盖
+  function preconditionFailedResponse(existing) {
+    return new Response(existing ? 'File already exists' : 'File does not exist', {
+      status: 412,
+      headers: existing ? { ETag: existing.httpEtag } : {},
+    });
+  }
+  
+  /**
+   * 检查上传权限。覆盖已有文件会丢失原内容，因此还需要删除权限
+   * @returns {Promise<Response|null>} 无权限时返回错误响应
+   */
+  async function checkWritePermission(env, user, path) {
+    if (!can(user, 'write', path)) return forbidden();
+    if (!can(user, 'delete', path) && (await env.MY_DRIVE_BUCKET.head(path)) !== null) {
+      return new Response('File already exists and you are not allowed to overwrite it', { status: 403 });
+    }
+    return null;
+  }
+
+  // --- 分片上传 ---
+  // 流程: create 获取 uploadId -> 逐个 part 上传分片 -> complete 合并；abort 放弃上传
+  // create 时声明文件大小（X-Upload-Size），由服务端决定分片大小并签名，之后每个分片的大小都必须与之一致，
+  // 合并后的文件大小因此与声明的一致，配额可以在合并前检查。
+  const MULTIPART_PART_SIZE = 10 * 1024 * 1024;
+  const MULTIPART_MAX_PARTS = 10000;
+
+  // R2 要求除最后一片外所有分片大小相同，且最多 10000 片
+  function multipartPartSize(size) {
+    return Math.max(MULTIPART_PART_SIZE, Math.ceil(size / MULTIPART_MAX_PARTS));
+  }
+
+  function multipartToken(env, path, uploadId, size) {
+    return hmacHex(env, `multipart:${path}:${uploadId}:${size}`);
+  }
+
+  async function handleMultipartUpload(request, env, user, operation) {
+    const url = new URL(request.url);
+    const path = url.searchParams.get('path');
+    if (!path) return new Response('Path is required', { status: 400 });
+    if (!can(user, 'write', path)) return forbidden();
+
+    if (operation === 'create') {
+      if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
+      const denied = await checkWritePermission(env, user, path);
+      if (denied) return denied;
+      const preconditionFailed = await checkUploadPrecondition(env, path, request.headers);
+      if (preconditionFailed) return preconditionFailed;
+      const sizeHeader = request.headers.get('X-Upload-Size');
+      const size = sizeHeader ? Number(sizeHeader) : NaN;
+      if (!Number.isSafeInteger(size) || size < 0) return new Response('X-Upload-Size is required', { status: 411 });
+      const quotaExceeded = await checkQuota(env, path, sizeHeader);
+      if (quotaExceeded) return quotaExceeded;
+      if (!isValidChecksumHeader(request)) return new Response('Invalid X-Content-SHA256', { status: 400 });
+      // 整个文件的校验值由前端在上传前算好，与普通上传一样保存在元数据中；各分片另行校验
+      const upload = await env.MY_DRIVE_BUCKET.createMultipartUpload(path, uploadMetadata(request, user, path));
+      return jsonResponse({
+        key: upload.key,
+        uploadId: upload.uploadId,
+        size,
+        partSize: multipartPartSize(size),
+        token: await multipartToken(env, path, upload.uploadId, size),
+      }, 201);
+    }
+
+    const uploadId = url.searchParams.get('uploadId');
+    const size = Number(url.searchParams.get('size'));
+    if (!uploadId) return new Response('uploadId is required', { status: 400 });
+    if (!Number.isSafeInteger(size) || size < 0
+      || !timingSafeEqual(url.searchParams.get('token'), await multipartToken(env, path, uploadId, size))) {
+      return new Response('Invalid upload token', { status: 403 });
+    }
+    const partSize = multipartPartSize(size);
+    const partCount = Math.max(1, Math.ceil(size / partSize));
+    const bucket = env.MY_DRIVE_BUCKET;
+    const upload = bucket.resumeMultipartUpload(path, uploadId);
+
+    try {
+      switch (operation) {
+        case 'part': {
+          if (request.method !== 'PUT') return new Response('Method Not Allowed', { status: 405 });
+          const partNumber = parseInt(url.searchParams.get('partNumber'), 10);
+          if (!(partNumber >= 1 && partNumber <= partCount)) return new Response('Invalid partNumber', { status: 400 });
+          if (!request.body) return new Response('Part body is required', { status: 400 });
+          if (!isValidChecksumHeader(request)) return new Response('Invalid X-Content-SHA256', { status: 400 });
+          // 分片大小由 create 时声明的文件大小决定，保证合并后的大小与声明的一致
+          const length = Math.min(partSize, size - (partNumber - 1) * partSize);
+          if (Number(request.headers.get('Content-Length')) !== length) {
+            return new Response(`Part ${partNumber} must be ${length} bytes`, { status: 400 });
+          }
+          const part = await uploadVerifiedPart(upload, partNumber, length, request);
+          if (part === null) return new Response('Checksum mismatch', { status: 422 });
+          return jsonResponse({ partNumber: part.partNumber, etag: part.etag });
+        }
+        case 'complete': {
+          if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
+          const body = await readJson(request);
+          if (body === null) return invalidJsonResponse();
+          const { parts } = body;
+          if (!Array.isArray(parts) || parts.length === 0) return new Response('parts is required', { status: 400 });
+          // 必须恰好包含全部分片，否则合并后的内容与声明的大小和校验值不一致
+          const numbers = new Set(parts.map(part => part && part.partNumber));
+          if (parts.length !== partCount || numbers.size !== partCount
+            || ![...numbers].every(number => Number.isInteger(number) && number >= 1 && number <= partCount)) {
+            return new Response(`All ${partCount} parts are required`, { status: 400 });
+          }
+          // 创建之后目标可能已被他人上传，无删除权限时不能覆盖
+          const denied = await checkWritePermission(env, user, path);
+          if (denied) return denied;
+          // 合并不支持 onlyIf，只能在合并前再检查一次创建时的条件
+          const preconditionFailed = await checkUploadPrecondition(env, path, request.headers);
+          if (preconditionFailed) return preconditionFailed;
+          // 创建之后其他上传可能已经占用了空间，合并前再检查一次
+          const quotaExceeded = await checkQuota(env, path, String(size));
+          if (quotaExceeded) return quotaExceeded;
+          const previous = await bucket.head(path);
+          // 合并会直接覆盖目标，先保留当前版本，合并失败时再删除
+          const versionKey = await saveVersion(env, path, 'overwrite', user);
+          let object;
+          try {
+            object = await upload.complete(parts);
+          } catch (e) {
+            await discardVersion(env, versionKey);
+            throw e;
+          }
+          if (versionKey !== null) await pruneVersions(env, path);
+          await invalidateThumbnails(env, path);
+          await updateFileUsage(env, path, previous, object);
+          return jsonResponse({
+            key: object.key,
+            size: object.size,
+            etag: object.etag,
+            sha256: (object.customMetadata && object.customMetadata.sha256) || null,
+          }, 201);
+        }
+        case 'abort':
+          if (request.method !== 'DELETE') return new Response('Method Not Allowed', { status: 405 });
+          await upload.abort();
+          return new Response(`Upload ${uploadId} aborted.`, { status: 200 });
+        default:
+          return new Response('Multipart action not found.', { status: 404 });
+      }
+    } catch (e) {
+      // 上传已完成、已中止或已过期时，让前端知道需要重新开始
+      if (/NoSuchUpload|multipart upload does not exist/i.test(e.message || '')) {
+        return new Response('Multipart upload not found', { status: 404 });
+      }
+      throw e;
+    }
+  }
+
+  async function handleDelete(request, env, user) {
+    if (request.method !== 'DELETE') return new Response('Method Not Allowed', { status: 405 });
     const url = new URL(request.url);
     const path = url.searchParams.get('path');
     if (!path) return new Response('Path is required', { status: 400 });
-    await env.MY_DRIVE_BUCKET.delete(path);
+    if (url.searchParams.get('recursive') === 'true' && path.endsWith('/')) {
+      if (!canRecursive(user, 'delete', path)) return forbidden();
+      // 上一次请求未移完时，带上返回的 trashId 继续移入同一条回收站记录
+      const trashId = url.searchParams.get('trashId');
+      let entry = null;
+      if (trashId) {
+        entry = await getTrashEntry(env, trashId);
+        if (!entry || entry.path !== path) return new Response('Invalid trashId', { status: 400 });
+      }
+      return jsonResponse(await removePath(env, path, user, { trashId: entry && entry.id }));
+    }
+    if (!can(user, 'delete', path)) return forbidden();
+    if (path.endsWith('/')) {
+      // 不带 recursive 时只删除文件夹标记本身，其中的文件需要 canRecursive 检查后才能删除
+      await env.MY_DRIVE_BUCKET.delete(path);
+    } else {
+      await removePath(env, path, user);
+    }
     return new Response(`Deleted ${path}`, { status: 200 });
   }
+
+  /**
+   * 删除文件或文件夹（以 '/' 结尾）。启用回收站时移入回收站，否则直接删除。
+   * 移入回收站时每个请求最多移动 MAX_TRASH_OBJECTS 个对象，未移完时 truncated 为 true，
+   * 带上返回的 trashId 再次调用即可继续
+   * @param {{trashId?: string|null, limit?: number}} options
+   * @returns {Promise<{deleted: number, failed: number, failedKeys: string[], truncated?: boolean, trashId?: string}>}
+   */
+  async function removePath(env, path, user, options = {}) {
+    if (path.endsWith('/')) {
+      const result = await removeObjects(env, path, user, options);
+      await updateUsage(env, path);
+      return result;
+    }
+    const previous = await env.MY_DRIVE_BUCKET.head(path);
+    const result = await removeObjects(env, path, user, options);
+    if (result.failed === 0) await updateFileUsage(env, path, previous, null);
+    return result;
+  }
+
+  // removePath 中不更新用量统计的部分，批量删除时统计在最后一并更新
+  async function removeObjects(env, path, user, options = {}) {
+    await invalidateThumbnails(env, path);
+    let result;
+    if (isTrashEnabled(env)) {
+      result = await moveToTrash(env, path, user, options);
+    } else if (path.endsWith('/')) {
+      // 未启用回收站时，删除前保留历史版本，仍可从版本中找回
+      result = await deletePrefix(env.MY_DRIVE_BUCKET, path, keys => preserveVersions(env, keys, 'delete', user));
+    } else {
+      await preserveVersion(env, path, 'delete', user);
+      await env.MY_DRIVE_BUCKET.delete(path);
+      result = { deleted: 1, failed: 0, failedKeys: [] };
+    }
+    return result;
+  }
+
+  // --- 回收站 ---
+  // 删除的文件和文件夹移到 TRASH_PREFIX 下，保留 TRASH_RETENTION_DAYS 天后由定时任务清除。
+  // 每次删除对应一条记录：entries/<id> 是空对象，元数据中保存原路径和删除时间；
+  // 内容保存在 items/<id>/<原路径>，恢复时原样移回。
+  // GET    /api/trash              列出回收站
+  // POST   /api/trash/restore?id=  恢复到原位置
+  // DELETE /api/trash?id=          彻底删除，不带 id 时清空当前用户可管理的全部记录
+  const TRASH_ENTRIES_PREFIX = `${TRASH_PREFIX}entries/`;
+  const TRASH_ITEMS_PREFIX = `${TRASH_PREFIX}items/`;
+  const DEFAULT_TRASH_RETENTION_DAYS = 30;
+  // 每个对象移入回收站需要读取、写入和删除，一次请求最多移动的对象数，以免超出 Worker 的子请求数限制
+  const MAX_TRASH_OBJECTS = 200;
+
+  function trashRetentionDays(env) {
+    const days = Number(env.TRASH_RETENTION_DAYS);
+    return env.TRASH_RETENTION_DAYS !== undefined && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+  }
+
+  // 保留天数设为 0 时不使用回收站，直接删除
+  function isTrashEnabled(env) {
+    return trashRetentionDays(env) > 0;
+  }
+
+  /**
+   * @param {{trashId?: string|null, limit?: number}} options trashId 为继续移入的已有记录
+   */
+  async function moveToTrash(env, path, user, { trashId = null, limit = MAX_TRASH_OBJECTS } = {}) {
+    const bucket = env.MY_DRIVE_BUCKET;
+    const id = trashId || `${Date.now()}-${randomToken().substring(0, 8)}`;
+    // 先写记录再移动内容，中途失败时已移入的内容仍能在回收站中找到
+    if (!trashId) {
+      await bucket.put(TRASH_ENTRIES_PREFIX + id, null, {
+        customMetadata: { originalPath: path, deletedAt: new Date().toISOString(), deletedBy: user.username || '' },
+      });
+    }
+    const result = await transferObjects(bucket, path, `${TRASH_ITEMS_PREFIX}${id}/${path}`, true, limit);
+    if (!trashId && (result === null || result.succeeded === 0)) await bucket.delete(TRASH_ENTRIES_PREFIX + id);
+    if (result === null) return { deleted: 0, failed: 0, failedKeys: [], truncated: false };
+    return {
+      deleted: result.succeeded,
+      failed: result.failedKeys.length,
+      failedKeys: result.failedKeys,
+      truncated: result.truncated,
+      ...(result.truncated ? { trashId: id } : {}),
+    };
+  }
+
+  function toTrashEntry(env, id, customMetadata) {
+    const { originalPath = '', deletedAt, deletedBy } = customMetadata || {};
+    return {
+      id,
+      path: originalPath,
+      type: originalPath.endsWith('/') ? 'folder' : 'file',
+      deletedAt,
+      deletedBy: deletedBy || null,
+      expiresAt: new Date(Date.parse(deletedAt) + trashRetentionDays(env) * 24 * 60 * 60 * 1000).toISOString(),
+    };
+  }
+
+  async function* listTrashEntries(env) {
+    for await (const object of listAllObjects(env.MY_DRIVE_BUCKET, TRASH_ENTRIES_PREFIX, { include: ['customMetadata'] })) {
+      yield toTrashEntry(env, object.key.substring(TRASH_ENTRIES_PREFIX.length), object.customMetadata);
+    }
+  }
+
+  async function getTrashEntry(env, id) {
+    if (!id || !/^[0-9A-Za-z_-]+$/.test(id)) return null;
+    const object = await env.MY_DRIVE_BUCKET.head(TRASH_ENTRIES_PREFIX + id);
+    return object ? toTrashEntry(env, id, object.customMetadata) : null;
+  }
+
+  // 能删除原路径的用户才能看到、恢复和彻底删除这条记录
+  function canManageTrashEntry(user, entry) {
+    return canRecursive(user, 'delete', entry.path);
+  }
+
+  async function purgeTrashEntry(bucket, id) {
+    const itemsPrefix = `${TRASH_ITEMS_PREFIX}${id}/`;
+    const paths = [];
+    const result = await deletePrefix(bucket, itemsPrefix, keys => {
+      for (const key of keys) if (!key.endsWith('/')) paths.push(key.substring(itemsPrefix.length));
+    });
+    // 文件彻底删除后，其历史版本也一并清除；原位置已有新文件时版本仍属于新文件，予以保留
+    for (const path of paths) {
+      if ((await bucket.head(path)) === null) await deletePrefix(bucket, versionPrefix(path));
+    }
+    // 内容全部删除后再删记录，失败的部分留到下次清理
+    if (result.failed === 0) await bucket.delete(TRASH_ENTRIES_PREFIX + id);
+    return result;
+  }
+
+  async function handleTrash(request, env, user, operation) {
+    const bucket = env.MY_DRIVE_BUCKET;
+    const url = new URL(request.url);
+
+    if (operation === 'restore') {
+      if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
+      const entry = await getTrashEntry(env, url.searchParams.get('id'));
+      if (!entry || !canManageTrashEntry(user, entry)) return new Response('Trash item not found', { status: 404 });
+      if (!canRecursive(user, 'write', entry.path)) return forbidden();
+      const itemsPrefix = `${TRASH_ITEMS_PREFIX}${entry.id}/`;
+      // 原位置已有同名文件时不覆盖，由用户先处理冲突
+      for await (const object of listAllObjects(bucket, itemsPrefix)) {
+        const key = object.key.substring(itemsPrefix.length);
+        if (!key.endsWith('/') && (await bucket.head(key)) !== null) {
+          return new Response(`${key} already exists`, { status: 409 });
+        }
+      }
+      const quotaExceeded = await checkTransferQuota(env, itemsPrefix + entry.path, entry.path, true);
+      if (quotaExceeded) return quotaExceeded;
+      const result = await transferObjects(bucket, itemsPrefix, '', true);
+      await updateUsage(env, entry.path);
+      const failedKeys = result ? result.failedKeys : [];
+      if (failedKeys.length === 0) await bucket.delete(TRASH_ENTRIES_PREFIX + entry.id);
+      return jsonResponse({
+        path: entry.path,
+        restored: result ? result.succeeded : 0,
+        failed: failedKeys.length,
+        failedKeys: failedKeys.map(key => key.substring(itemsPrefix.length)),
+      }, failedKeys.length === 0 ? 200 : 500);
+    }
+    if (operation) return new Response('Trash action not found.', { status: 404 });
+
+    switch (request.method) {
+      case 'GET': {
+        const entries = [];
+        for await (const entry of listTrashEntries(env)) {
+          if (canManageTrashEntry(user, entry)) entries.push(entry);
+        }
+        entries.sort((a, b) => (a.deletedAt < b.deletedAt ? 1 : -1));
+        return jsonResponse({ retentionDays: trashRetentionDays(env), entries });
+      }
+      case 'DELETE': {
+        const id = url.searchParams.get('id');
+        if (id) {
+          const entry = await getTrashEntry(env, id);
+          if (!entry || !canManageTrashEntry(user, entry)) return new Response('Trash item not found', { status: 404 });
+          return jsonResponse(await purgeTrashEntry(bucket, entry.id));
+        }
+        let deleted = 0;
+        const failedKeys = [];
+        for await (const entry of listTrashEntries(env)) {
+          if (!canManageTrashEntry(user, entry)) continue;
+          const result = await purgeTrashEntry(bucket, entry.id);
+          deleted += result.deleted;
+          failedKeys.push(...result.failedKeys);
+        }
+        return jsonResponse({ deleted, failed: failedKeys.length, failedKeys });
+      }
+      default:
+        return new Response('Method Not Allowed', { status: 405 });
+    }
+  }
+
+  // --- 定时清理 ---
+  // 清除超过保留天数的回收站记录，以及已过期的登录会话记录
+  async function purgeExpired(env) {
+    const bucket = env.MY_DRIVE_BUCKET;
+    const now = Date.now();
+    // 关闭回收站（保留 0 天）后，之前留下的记录也一并清除
+    const cutoff = now - trashRetentionDays(env) * 24 * 60 * 60 * 1000;
+    for await (const entry of listTrashEntries(env)) {
+      if (!(Date.parse(entry.deletedAt) > cutoff)) await purgeTrashEntry(bucket, entry.id);
+    }
+    // 会话记录创建后不再修改，上传时间加有效期即为过期时间
+    const expiredSessions = [];
+    for await (const object of listAllObjects(bucket, SESSION_PREFIX)) {
+      if (new Date(object.uploaded).getTime() + SESSION_TTL * 1000 <= now) expiredSessions.push(object.key);
+    }
+    await deleteKeys(bucket, expiredSessions);
+  }
+
+  // --- 历史版本 ---
+  // 设置 VERSIONING=true 后，覆盖或删除文件前先把原文件复制到
+  // VERSIONS_PREFIX/<编码后的路径>/<时间>-<随机串>，每个文件最多保留 VERSION_RETENTION 个版本。
+  // GET    /api/versions?path=                 列出文件的历史版本，最新的在前
+  // GET    /api/versions/download?path=&id=    下载某个版本
+  // POST   /api/versions/restore?path=&id=     用某个版本替换当前文件，当前文件同样保留为一个版本
+  const DEFAULT_VERSION_RETENTION = 10;
+
+  function isVersioningEnabled(env) {
+    return env.VERSIONING === 'true';
+  }
+
+  function versionPrefix(path) {
+    // 编码后的路径不含 '/'，不同文件的版本不会互相混在一起
+    return `${VERSIONS_PREFIX}${encodeURIComponent(path)}/`;
+  }
+
+  function isValidVersionId(id) {
+    return typeof id === 'string' && /^[0-9A-Za-z:.\-_]+$/.test(id);
+  }
+
+  /**
+   * 在覆盖或删除前保留文件的当前版本。未启用版本功能或文件不存在时什么也不做
+   * @param {string} reason overwrite / delete / restore
+   */
+  async function preserveVersion(env, path, reason, user) {
+    if ((await saveVersion(env, path, reason, user)) !== null) await pruneVersions(env, path);
+  }
+
+  /**
+   * 保存文件的当前版本但不清理旧版本，用于可能被拒绝的条件写入：
+   * 写入成功后再调用 pruneVersions，被拒绝时用 discardVersion 删除这个版本
+   * @returns {Promise<string|null>} 版本的键，没有保存时为 null
+   */
+  async function saveVersion(env, path, reason, user) {
+    if (!isVersioningEnabled(env) || path.endsWith('/') || isReservedPath(path)) return null;
+    const bucket = env.MY_DRIVE_BUCKET;
+    const object = await bucket.get(path);
+    if (object === null) return null;
+    const key = `${versionPrefix(path)}${new Date().toISOString()}-${randomToken().substring(0, 8)}`;
+    await bucket.put(key, object.body, {
+      httpMetadata: object.httpMetadata,
+      customMetadata: {
+        ...object.customMetadata,
+        versionedAt: new Date().toISOString(),
+        versionReason: reason,
+        versionedBy: (user && user.username) || '',
+      },
+    });
+    return key;
+  }
+
+  async function discardVersion(env, key) {
+    if (key !== null) await env.MY_DRIVE_BUCKET.delete(key);
+  }
+
+  async function preserveVersions(env, keys, reason, user) {
+    for (const key of keys) await preserveVersion(env, key, reason, user);
+  }
+
+  // 复制或移动时保留将被覆盖的目标文件
+  async function preserveOverwritten(env, from, to, user) {
+    if (!isVersioningEnabled(env)) return;
+    if (!from.endsWith('/')) return preserveVersion(env, to, 'overwrite', user);
+    const targets = await objectSizes(env.MY_DRIVE_BUCKET, to);
+    const keys = [];
+    for await (const object of listAllObjects(env.MY_DRIVE_BUCKET, from)) {
+      const name = object.key.substring(from.length);
+      if (targets.has(name)) keys.push(to + name);
+    }
+    await preserveVersions(env, keys, 'overwrite', user);
+  }
+
+  // 删除超出保留数量的旧版本
+  async function pruneVersions(env, path) {
+    const retention = Number(env.VERSION_RETENTION) > 0 ? Number(env.VERSION_RETENTION) : DEFAULT_VERSION_RETENTION;
+    const keys = [];
+    for await (const object of listAllObjects(env.MY_DRIVE_BUCKET, versionPrefix(path))) keys.push(object.key);
+    // 版本号以时间开头，按键排序即按时间排序
+    keys.sort();
+    if (keys.length > retention) await deleteKeys(env.MY_DRIVE_BUCKET, keys.slice(0, keys.length - retention));
+  }
+
+  async function handleVersions(request, env, user, operation) {
+    const url = new URL(request.url);
+    const path = url.searchParams.get('path');
+    if (!path || path.endsWith('/')) return new Response('A file path is required', { status: 400 });
+    const bucket = env.MY_DRIVE_BUCKET;
+
+    if (!operation) {
+      if (request.method !== 'GET') return new Response('Method Not Allowed', { status: 405 });
+      if (!can(user, 'read', path)) return forbidden();
+      const prefix = versionPrefix(path);
+      const versions = [];
+      for await (const object of listAllObjects(bucket, prefix, { include: ['httpMetadata', 'customMetadata'] })) {
+        const custom = object.customMetadata || {};
+        versions.push({
+          id: object.key.substring(prefix.length),
+          size: object.size,
+          versionedAt: custom.versionedAt || object.uploaded,
+          reason: custom.versionReason || null,
+          versionedBy: custom.versionedBy || null,
+          ...describeMetadata(object),
+        });
+      }
+      versions.sort((a, b) => (a.id < b.id ? 1 : -1));
+      return jsonResponse({ path, enabled: isVersioningEnabled(env), versions });
+    }
+
+    const id = url.searchParams.get('id');
+    if (!isValidVersionId(id)) return new Response('Invalid version id', { status: 400 });
+    const versionKey = versionPrefix(path) + id;
+    switch (operation) {
+      case 'download':
+        if (!can(user, 'read', path)) return forbidden();
+        return await handleDownload(request, env, versionKey, path.split('/').pop());
+      case 'restore': {
+        if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
+        // 恢复会替换当前文件，需要写入和删除权限
+        if (!can(user, 'write', path) || !can(user, 'delete', path)) return forbidden();
+        const version = await bucket.get(versionKey);
+        if (version === null) return new Response('Version not found', { status: 404 });
+        const quotaExceeded = await checkTransferQuota(env, versionKey, path, false);
+        if (quotaExceeded) return quotaExceeded;
+        const previous = await bucket.head(path);
+        await preserveVersion(env, path, 'restore', user);
+        const { versionedAt, versionReason, versionedBy, ...customMetadata } = version.customMetadata || {};
+        const restored = await bucket.put(path, version.body, { httpMetadata: version.httpMetadata, customMetadata });
+        await invalidateThumbnails(env, path);
+        await updateFileUsage(env, path, previous, restored);
+        return new Response(`Restored ${path} to version ${id}`, { status: 200 });
+      }
+      default:
+        return new Response('Versions action not found.', { status: 404 });
+    }
+  }
+
+  // --- 批量操作 ---
+  // POST /api/batch/delete  { paths: [...] }
+  // 一次请求处理多个路径，以 '/' 结尾的路径按文件夹递归删除，启用回收站时逐项移入回收站。
+  // 每个路径单独检查权限，返回逐项结果，部分失败不影响其余路径。
+  // 启用回收站或历史版本时每个文件都要单独复制，路径数限制为 MAX_COPYING_BATCH_PATHS，以免超出 Worker 的子请求数限制；
+  // 移入回收站的对象总数同样限制为 MAX_TRASH_OBJECTS，超出的路径结果中 truncated 为 true，
+  // 前端需要用 /api/delete（带 trashId，如果有）逐个继续。
+  const MAX_BATCH_PATHS = 1000;
+  const MAX_COPYING_BATCH_PATHS = 100;
+
+  async function handleBatch(request, env, user, operation) {
+    if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
+    if (operation !== 'delete') return new Response('Batch operation not found.', { status: 404 });
+    const body = await readJson(request);
+    if (body === null) return invalidJsonResponse();
+    const { paths } = body;
+    if (!Array.isArray(paths) || paths.length === 0) return new Response('paths is required', { status: 400 });
+    const maxPaths = isTrashEnabled(env) || isVersioningEnabled(env) ? MAX_COPYING_BATCH_PATHS : MAX_BATCH_PATHS;
+    if (paths.length > maxPaths) {
+      return new Response(`At most ${maxPaths} paths per request`, { status: 400 });
+    }
+
+    const bucket = env.MY_DRIVE_BUCKET;
+    const results = [];
+    const files = [];
+    const removedPaths = [];
+    let trashBudget = MAX_TRASH_OBJECTS;
+    for (const path of new Set(paths)) {
+      if (typeof path !== 'string' || !path) {
+        results.push({ path, ok: false, status: 400, error: 'Invalid path' });
+      } else if (isReservedPath(path)) {
+        results.push({ path, ok: false, status: 403, error: 'Reserved path' });
+      } else if (!(path.endsWith('/') ? canRecursive(user, 'delete', path) : can(user, 'delete', path))) {
+        results.push({ path, ok: false, status: 403, error: 'Forbidden' });
+      } else if (isTrashEnabled(env) && trashBudget === 0) {
+        results.push({ path, ok: true, status: 202, deleted: 0, failed: 0, failedKeys: [], truncated: true });
+      } else if (path.endsWith('/') || isTrashEnabled(env)) {
+        const result = await removeObjects(env, path, user, { limit: trashBudget });
+        trashBudget = Math.max(0, trashBudget - result.deleted - result.failed);
+        removedPaths.push(path);
+        const status = result.failed > 0 ? 500 : result.truncated ? 202 : 200;
+        results.push({ path, ok: result.failed === 0, status, ...result });
+      } else {
+        // 文件合并成一次批量删除，结果稍后填入，保持与请求相同的顺序
+        const result = { path };
+        results.push(result);
+        files.push(result);
+      }
+    }
+    await preserveVersions(env, files.map(result => result.path), 'delete', user);
+    await invalidateFileThumbnails(env, files.map(result => result.path));
+    const failedFiles = new Set(await deleteKeys(bucket, files.map(result => result.path)));
+    removedPaths.push(...files.map(result => result.path));
+    // 同一文件夹只需重新统计一次；删除的文件夹会重新统计整个子树，优先于其中的文件
+    const changedFolders = new Map();
+    for (const path of removedPaths) {
+      const folder = path.endsWith('/') ? path : parentFolder(path);
+      if (!changedFolders.has(folder) || path.endsWith('/')) changedFolders.set(folder, path);
+    }
+    for (const path of changedFolders.values()) await updateUsage(env, path);
+    for (const result of files) {
+      Object.assign(result, failedFiles.has(result.path)
+        ? { ok: false, status: 500, error: 'Delete failed' }
+        : { ok: true, status: 200 });
+    }
+    return jsonResponse({
+      succeeded: results.filter(result => result.ok).length,
+      failed: results.filter(result => !result.ok).length,
+      results,
+    });
+  }
+
+  // --- 移动 / 重命名 ---
+  async function handleMove(request, env, user) {
+    if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
+    const url = new URL(request.url);
+    const from = url.searchParams.get('path');
+    const to = url.searchParams.get('to');
+    if (!from || !to) return new Response('path and to are required', { status: 400 });
+    const overwrite = url.searchParams.get('overwrite') === 'true';
+    if (!canTransfer(user, from, to, overwrite, true)) return forbidden();
+    const invalid = await checkTransferTarget(env.MY_DRIVE_BUCKET, from, to, overwrite);
+    if (invalid) return invalid;
+    const quotaExceeded = await checkTransferQuota(env, from, to, true);
+    if (quotaExceeded) return quotaExceeded;
+    if (overwrite) await preserveOverwritten(env, from, to, user);
+    const previous = await transferredObjects(env.MY_DRIVE_BUCKET, from, to);
+    const result = await transferObjects(env.MY_DRIVE_BUCKET, from, to, true);
+    if (!result) return new Response('Object Not Found', { status: 404 });
+    await invalidateThumbnails(env, from);
+    if (overwrite) await invalidateThumbnails(env, to);
+    await updateTransferUsage(env, from, to, previous, true);
+    return jsonResponse({ moved: result.succeeded, failed: result.failedKeys.length, failedKeys: result.failedKeys });
+  }
+
+  // 移动或复制单个文件前记录源和目标，之后据此修改用量统计；文件夹之后重新统计，不需要记录
+  async function transferredObjects(bucket, from, to) {
+    if (from.endsWith('/')) return null;
+    return { source: await bucket.head(from), target: await bucket.head(to) };
+  }
+
+  async function updateTransferUsage(env, from, to, previous, removeSource) {
+    if (previous === null) {
+      if (removeSource) await updateUsage(env, from);
+      await updateUsage(env, to);
+      return;
+    }
+    if (removeSource) await updateFileUsage(env, from, previous.source, null);
+    await updateFileUsage(env, to, previous.target, await env.MY_DRIVE_BUCKET.head(to));
+  }
+
+  // --- 复制 ---
+  async function handleCopy(request, env, user) {
+    if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
+    const url = new URL(request.url);
+    const from = url.searchParams.get('path');
+    const to = url.searchParams.get('to');
+    if (!from || !to) return new Response('path and to are required', { status: 400 });
+    const overwrite = url.searchParams.get('overwrite') === 'true';
+    if (!canTransfer(user, from, to, overwrite, false)) return forbidden();
+    const invalid = await checkTransferTarget(env.MY_DRIVE_BUCKET, from, to, overwrite);
+    if (invalid) return invalid;
+    const quotaExceeded = await checkTransferQuota(env, from, to, false);
+    if (quotaExceeded) return quotaExceeded;
+    if (overwrite) await preserveOverwritten(env, from, to, user);
+    const previous = await transferredObjects(env.MY_DRIVE_BUCKET, from, to);
+    const result = await transferObjects(env.MY_DRIVE_BUCKET, from, to, false);
+    if (!result) return new Response('Object Not Found', { status: 404 });
+    if (overwrite) await invalidateThumbnails(env, to);
+    await updateTransferUsage(env, from, to, previous, false);
+    return jsonResponse({ copied: result.succeeded, failed: result.failedKeys.length, failedKeys: result.failedKeys }, 201);
+  }
+
+  // 移动需要源路径的删除权限，复制需要读取权限；覆盖目标时还需要目标的删除权限
+  function canTransfer(user, from, to, overwrite, removeSource) {
+    return canRecursive(user, removeSource ? 'delete' : 'read', from)
+      && canRecursive(user, 'write', to)
+      && (!overwrite || canRecursive(user, 'delete', to));
+  }
+
+  /**
+   * 校验复制/移动的目标路径，不合法时返回错误响应
+   * @param {R2Bucket} bucket 
+   * @param {string} from 源路径，文件夹以 / 结尾
+   * @param {string} to 目标路径
+   * @param {boolean} overwrite 是否允许覆盖已存在的目标
+   */
+  async function checkTransferTarget(bucket, from, to, overwrite) {
+    const isFolder = from.endsWith('/');
+    if (isFolder !== to.endsWith('/')) {
+      return new Response('Source and target must both be files or both be folders', { status: 400 });
+    }
+    if (from === to) return new Response('Source and target are the same', { status: 400 });
+    if (isFolder && to.startsWith(from)) {
+      return new Response('Cannot move or copy a folder into itself', { status: 400 });
+    }
+    if (overwrite) return null;
+    const exists = isFolder
+      ? (await bucket.list({ prefix: to, limit: 1 })).objects.length > 0
+      : (await bucket.head(to)) !== null;
+    if (exists) return new Response(`Target ${to} already exists`, { status: 409 });
+    return null;
+  }
+
+  /**
+   * 在存储桶内复制单个对象，保留 httpMetadata 和 customMetadata
+   * @returns {Promise<boolean>} 源对象不存在时返回 false
+   */
+  async function copyObject(bucket, fromKey, toKey) {
+    const object = await bucket.get(fromKey);
+    if (object === null) return false;
+    await bucket.put(toKey, object.body, {
+      httpMetadata: object.httpMetadata,
+      customMetadata: object.customMetadata,
+    });
+    return true;
+  }
+
+  /**
+   * 复制文件或整个文件夹，removeSource 为 true 时在复制成功后删除原对象
+   * @param {R2Bucket} bucket 
+   * @param {string} from 
+   * @param {string} to 
+   * @param {boolean} removeSource 
+   * @param {number} limit 最多处理的对象数，超出时 truncated 为 true
+   * @returns {Promise<{succeeded: number, failedKeys: string[], truncated: boolean}|null>} 源不存在时返回 null
+   */
+  async function transferObjects(bucket, from, to, removeSource, limit = Infinity) {
+    if (!from.endsWith('/')) {
+      if (!(await copyObject(bucket, from, to))) return null;
+      if (removeSource) await bucket.delete(from);
+      return { succeeded: 1, failedKeys: [], truncated: false };
+    }
+
+    let found = false;
+    let truncated = false;
+    let succeeded = 0;
+    const failedKeys = [];
+    let copiedKeys = [];
+    const removeCopied = async () => {
+      const failed = await deleteKeys(bucket, copiedKeys);
+      succeeded -= failed.length;
+      failedKeys.push(...failed);
+      copiedKeys = [];
+    };
+    for await (const object of listAllObjects(bucket, from)) {
+      if (succeeded + failedKeys.length >= limit) {
+        truncated = true;
+        break;
+      }
+      found = true;
+      try {
+        await copyObject(bucket, object.key, to + object.key.substring(from.length));
+        succeeded++;
+        copiedKeys.push(object.key);
+      } catch (e) {
+        console.error(`Failed to copy ${object.key}`, e);
+        failedKeys.push(object.key);
+      }
+      if (removeSource && copiedKeys.length >= MAX_DELETE_BATCH) await removeCopied();
+    }
+    if (removeSource && copiedKeys.length > 0) await removeCopied();
+    return found ? { succeeded, failedKeys, truncated } : null;
+  }
+
+  // R2 单次批量删除最多 1000 个键
+  const MAX_DELETE_BATCH = 1000;
+
+  /**
+   * 逐页遍历前缀下的所有对象
+   * @param {R2Bucket} bucket 
+   * @param {string} prefix 
+   * @param {Object} options 额外的 list 参数
+   */
+  async function* listAllObjects(bucket, prefix, options = {}) {
+    let cursor;
+    do {
+      const list = await bucket.list({ ...options, prefix, cursor });
+      yield* list.objects;
+      cursor = list.truncated ? list.cursor : undefined;
+    } while (cursor);
+  }
+
+  /**
+   * 批量删除对象，返回删除失败的键
+   * @param {R2Bucket} bucket 
+   * @param {string[]} keys 
+   */
+  async function deleteKeys(bucket, keys) {
+    const failedKeys = [];
+    for (let i = 0; i < keys.length; i += MAX_DELETE_BATCH) {
+      const batch = keys.slice(i, i + MAX_DELETE_BATCH);
+      try {
+        await bucket.delete(batch);
+      } catch (e) {
+        console.error('Batch delete failed', e);
+        failedKeys.push(...batch);
+      }
+    }
+    return failedKeys;
+  }
+
+  /**
+   * 递归删除文件夹（含文件夹标记本身）
+   * @param {R2Bucket} bucket 
+   * @param {string} prefix 以 / 结尾的文件夹路径
+   */
+  async function deletePrefix(bucket, prefix, beforeDelete) {
+    let deleted = 0;
+    const failedKeys = [];
+    let batch = [];
+    const flush = async () => {
+      // beforeDelete 用于在删除前保留历史版本
+      if (beforeDelete) await beforeDelete(batch);
+      const failed = await deleteKeys(bucket, batch);
+      deleted += batch.length - failed.length;
+      failedKeys.push(...failed);
+      batch = [];
+    };
+    for await (const object of listAllObjects(bucket, prefix)) {
+      batch.push(object.key);
+      if (batch.length >= MAX_DELETE_BATCH) await flush();
+    }
+    if (batch.length > 0) await flush();
+    return { deleted, failed: failedKeys.length, failedKeys };
+  }
   
-  async function handleDownload(request, env, objectKey) {
-    const object = await env.MY_DRIVE_BUCKET.get(objectKey);
-    if (object === null) {
+  // 浏览器会当作页面渲染的类型（含 SVG），总是作为附件下载
+  function isActiveContent(contentType) {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    return type === 'text/html' || type === 'text/xml' || type === 'application/xml' || type.endsWith('+xml');
+  }
+
+  // 支持单个 Range 请求（用于视频拖动和断点续传）以及 If-None-Match / If-Modified-Since 条件请求
+  async function handleDownload(request, env, objectKey, filename = objectKey.split('/').pop()) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      return new Response('Method Not Allowed', { status: 405 });
+    }
+    // 先读取元数据，据此处理条件请求和校验范围，再按需读取内容
+    const meta = await env.MY_DRIVE_BUCKET.head(objectKey);
+    if (meta === null) {
       return new Response('Object Not Found', { status: 404 });
     }
     const headers = new Headers();
-    object.writeHttpMetadata(headers);
-    headers.set('etag', object.httpEtag);
+    meta.writeHttpMetadata(headers);
+    // 旧文件上传时没有保存类型，按扩展名补上，图片等才能内联显示
+    const contentType = headers.get('Content-Type') || detectContentType(objectKey, null);
+    headers.set('Content-Type', contentType);
+    headers.set('etag', meta.httpEtag);
+    headers.set('Last-Modified', meta.uploaded.toUTCString());
+    headers.set('Accept-Ranges', 'bytes');
+    // 文件由用户上传，与网盘同源，直接打开时不能执行其中的脚本。
+    // 浏览器不会在沙箱中显示 PDF，PDF 中的脚本由阅读器自行隔离
+    headers.set('X-Content-Type-Options', 'nosniff');
+    if (!contentType.startsWith('application/pdf')) headers.set('Content-Security-Policy', 'sandbox');
+
+    if (isNotModified(request.headers, meta)) {
+      return new Response(null, { status: 304, headers });
+    }
+
     const isInline = new URL(request.url).searchParams.get('inline') === 'true';
     // 修复: 确保 httpMetadata 和 contentType 存在再进行判断
-    const isImage = object.httpMetadata && object.httpMetadata.contentType && object.httpMetadata.contentType.startsWith('image');
-    if (!isInline && !isImage) {
-      headers.set('Content-Disposition', `attachment; filename="${objectKey.split('/').pop()}"`);
+    const isImage = contentType.startsWith('image');
+    if (isActiveContent(contentType) || (!isInline && !isImage)) {
+      headers.set('Content-Disposition', contentDisposition(filename));
+    }
+
+    // If-Range 与当前版本不一致时忽略 Range，返回完整内容
+    const rangeHeader = request.headers.get('Range');
+    const range = rangeHeader && matchesIfRange(request.headers.get('If-Range'), meta)
+      ? parseRange(rangeHeader, meta.size)
+      : null;
+    if (range && range.error) {
+      headers.set('Content-Range', `bytes */${meta.size}`);
+      return new Response(range.error, { status: 416, headers });
+    }
+
+    const length = range ? range.end - range.start + 1 : meta.size;
+    headers.set('Content-Length', String(length));
+    if (range) headers.set('Content-Range', `bytes ${range.start}-${range.end}/${meta.size}`);
+    const status = range ? 206 : 200;
+    if (request.method === 'HEAD') {
+      return new Response(null, { status, headers });
+    }
+
+    // 只读取与元数据相同版本的内容，避免在两次请求之间文件被覆盖
+    const object = await env.MY_DRIVE_BUCKET.get(objectKey, {
+      onlyIf: { etagMatches: meta.etag },
+      ...(range ? { range: { offset: range.start, length } } : {}),
+    });
+    if (object === null) {
+      return new Response('Object Not Found', { status: 404 });
     }
-    return new Response(object.body, { headers });
+    if (!object.body) {
+      return new Response('Object changed during download, please retry', { status: 409 });
+    }
+    return new Response(object.body, { status, headers });
+  }
+
+  /**
+   * 生成 Content-Disposition。非 ASCII 文件名通过 filename* 传递（RFC 6266），
+   * filename 中放一个 ASCII 的替代名兼容旧客户端
+   */
+  function contentDisposition(filename) {
+    const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+  }
+
+  // 按 RFC 9110 处理条件请求：If-None-Match 存在时忽略 If-Modified-Since
+  function isNotModified(requestHeaders, meta) {
+    const ifNoneMatch = requestHeaders.get('If-None-Match');
+    if (ifNoneMatch) {
+      if (ifNoneMatch.trim() === '*') return true;
+      // 弱比较，去掉 W/ 前缀后比较
+      return ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === meta.httpEtag);
+    }
+    const ifModifiedSince = Date.parse(requestHeaders.get('If-Modified-Since') || '');
+    if (isNaN(ifModifiedSince)) return false;
+    // HTTP 日期只精确到秒
+    return Math.floor(meta.uploaded.getTime() / 1000) * 1000 <= ifModifiedSince;
+  }
+
+  function matchesIfRange(ifRange, meta) {
+    if (!ifRange) return true;
+    if (ifRange.startsWith('"')) return ifRange === meta.httpEtag;
+    const date = Date.parse(ifRange);
+    return !isNaN(date) && Math.floor(meta.uploaded.getTime() / 1000) * 1000 <= date;
+  }
+
+  /**
+   * 解析 Range 头，只支持单个字节范围
+   * @returns {{start: number, end: number}|{error: string}|null} 格式无法识别时返回 null，按普通请求处理
+   */
+  function parseRange(header, size) {
+    const match = /^bytes=(.+)$/.exec(header.trim());
+    if (!match) return null;
+    const specs = match[1].split(',');
+    if (specs.length > 1) return { error: 'Multiple ranges are not supported' };
+    const spec = /^\s*(\d*)-(\d*)\s*$/.exec(specs[0]);
+    if (!spec || (spec[1] === '' && spec[2] === '')) return null;
+    let start;
+    let end;
+    if (spec[1] === '') {
+      // bytes=-N 表示最后 N 个字节
+      const suffix = Number(spec[2]);
+      if (suffix === 0) return { error: 'Range Not Satisfiable' };
+      start = Math.max(0, size - suffix);
+      end = size - 1;
+    } else {
+      start = Number(spec[1]);
+      end = spec[2] === '' ? size - 1 : Math.min(Number(spec[2]), size - 1);
+      if (spec[2] !== '' && Number(spec[2]) < start) return null;
+    }
+    if (start >= size) return { error: 'Range Not Satisfiable' };
+    return { start, end };
   }
   
-  // --- 前端 HTML, CSS, JS ---
-  function getHtml(env) {
-    const passwordEnabled = !!env.PASSWORD;
-    return `
-  <!DOCTYPE html>
-  <html lang="zh-CN">
-  <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>我的公开网盘</title>
-      <style>
-          body { font-family: -apple-system, BlinkMacSystemFont, Segoe UI, Roboto, sans-serif; margin: 0; background-color: #f0f2f5; color: #333; }
-          .container { max-width: 800px; margin: 2rem auto; padding: 2rem; background-color: #fff; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); }
-          h1 { text-align: center; }
-          button { padding: 10px 15px; border: none; background-color: #007bff; color: #fff; border-radius: 4px; cursor: pointer; transition: background-color 0.2s; }
-          button:hover { background-color: #0056b3; }
-          button:disabled { background-color: #ccc; cursor: not-allowed; }
-          #file-list { list-style: none; padding: 0; }
-          #file-list li { display: flex; align-items: center; padding: 12px 8px; border-bottom: 1px solid #eee; transition: background-color 0.2s; }
-          #file-list li:hover { background-color: #f8f9fa; }
-          #file-list li .icon { width: 30px; font-size: 20px; text-align: center; }
-          #file-list li .name { flex-grow: 1; cursor: pointer; word-break: break-all; padding: 0 10px; }
-          #file-list li .name:hover { text-decoration: underline; }
-          #file-list li .size { width: 80px; text-align: right; color: #6c757d; font-size: 14px; }
-          #file-list li .actions { display: flex; flex-shrink: 0; }
-          #file-list li .actions button { margin-left: 8px; padding: 5px 8px; font-size: 12px; }
-          .btn-delete { background-color: #dc3545; } .btn-delete:hover { background-color: #c82333; }
-          .btn-copy { background-color: #28a745; } .btn-copy:hover { background-color: #218838; }
-          #breadcrumb { margin-bottom: 1rem; color: #555; word-break: break-all; }
-          #breadcrumb a { color: #007bff; text-decoration: none; }
-          #preview-modal { display: none; position: fixed; z-index: 1000; left: 0; top: 0; width: 100%; height: 100%; background-color: rgba(0,0,0,0.85); justify-content: center; align-items: center; }
-          #preview-modal.visible { display: flex; }
-          #preview-modal img { max-width: 90%; max-height: 90%; border-radius: 4px; }
-          #preview-modal .close { position: absolute; top: 20px; right: 35px; color: #fff; font-size: 40px; font-weight: bold; cursor: pointer; }
-          .actions-bar { display: flex; gap: 10px; margin-bottom: 1rem; flex-wrap: wrap; align-items: center; }
-          #file-upload { display: none; }
-          #drag-overlay { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0, 123, 255, 0.1); border: 3px dashed #007bff; z-index: 9999; display: none; justify-content: center; align-items: center; font-size: 2rem; color: #007bff; font-weight: bold; }
-          #drag-overlay.visible { display: flex; }
-          .sort-container { display: flex; align-items: center; gap: 10px; }
-          .sort-select { padding: 8px; border-radius: 4px; border: 1px solid #ccc; }
-          #search-box { padding: 8px; border-radius: 4px; border: 1px solid #ccc; flex-grow: 1; }
-          #login-form { text-align: center; padding: 2rem; }
-          #login-form input { padding: 10px; width: 200px; margin-right: 10px; border: 1px solid #ccc; border-radius: 4px; }
-          #login-error { color: red; margin-top: 10px; }
-          .mobile-actions { display: none; background: none; border: none; font-size: 18px; cursor: pointer; padding: 0 10px; }
-          .actions-menu { position: absolute; right: 10px; background: white; border-radius: 4px; box-shadow: 0 2px 10px rgba(0,0,0,0.2); z-index: 100; display: none; flex-direction: column; min-width: 120px; }
-          .actions-menu button { width: 100%; text-align: left; border-radius: 0; background: none; color: #333; border-bottom: 1px solid #eee; }
-          .actions-menu button:last-child { border-bottom: none; }
-          .actions-menu button:hover { background-color: #f8f9fa; }
-          #logout-btn { background-color: #6c757d; margin-left: auto; }
-          #logout-btn:hover { background-color: #5a6268; }
-  
-          /* --- UI 切换修复 --- */
-          .mobile-actions-grid,
-          .mobile-search-sort-grid,
+  // --- 打包下载 ---
+  // GET /api/zip?path=a/&path=b.txt 或 POST（表单或 JSON 的 paths）打包下载多个文件和文件夹。
+  // 使用不压缩的存储模式，边读取 R2 对象边输出，不在内存中缓存文件内容；
+  // CRC32 在输出时计算，写在每个文件后面的数据描述符中。
+  async function handleZip(request, env, user) {
+    let paths;
+    if (request.method === 'GET') {
+      paths = new URL(request.url).searchParams.getAll('path');
+    } else if (request.method === 'POST') {
+      const contentType = request.headers.get('Content-Type') || '';
+      if (contentType.includes('application/json')) {
+        const body = await readJson(request);
+        if (body === null) return invalidJsonResponse();
+        paths = body.paths;
+      } else {
+        // 不是表单的请求体无法解析，按客户端错误处理
+        let form;
+        try {
+          form = await request.formData();
+        } catch (e) {
+          return new Response('Invalid form data', { status: 400 });
+        }
+        paths = form.getAll('path');
+      }
+    } else {
+      return new Response('Method Not Allowed', { status: 405 });
+    }
+    if (!Array.isArray(paths) || paths.length === 0) return new Response('path is required', { status: 400 });
+    for (const path of paths) {
+      if (typeof path !== 'string' || !path) return new Response('Invalid path', { status: 400 });
+      if (isReservedPath(path)) return new Response('Reserved path', { status: 403 });
+      if (!canRecursive(user, 'read', path)) return forbidden();
+    }
+
+    // 压缩包内的路径相对于所选条目共同的上级目录
+    const base = commonParent(paths);
+    const entries = [];
+    for (const path of new Set(paths)) {
+      if (path.endsWith('/')) {
+        for await (const object of listAllObjects(env.MY_DRIVE_BUCKET, path)) {
+          if (!isReservedPath(object.key)) entries.push(object);
+        }
+        // 文件夹本身也作为目录条目写入，空文件夹同样会出现在压缩包中
+        if (!entries.some(object => object.key === path)) entries.push({ key: path, size: 0, uploaded: new Date() });
+      } else {
+        const object = await env.MY_DRIVE_BUCKET.head(path);
+        if (!object) return new Response(`Object Not Found: ${path}`, { status: 404 });
+        entries.push(object);
+      }
+    }
+
+    const names = paths.length === 1 ? paths[0].split('/').filter(Boolean) : base.split('/').filter(Boolean);
+    const archiveName = (names.pop() || 'download') + '.zip';
+    return new Response(createZipStream(env.MY_DRIVE_BUCKET, entries, base), {
+      headers: {
+        'Content-Type': 'application/zip',
+        'Content-Disposition': contentDisposition(archiveName),
+      },
+    });
+  }
+
+  function commonParent(paths) {
+    const parents = paths.map(path => path.substring(0, path.replace(/\/$/, '').lastIndexOf('/') + 1));
+    let parent = parents[0];
+    for (const other of parents) {
+      while (!other.startsWith(parent)) {
+        parent = parent.substring(0, parent.replace(/\/$/, '').lastIndexOf('/') + 1);
+      }
+    }
+    return parent;
+  }
+
+  const ZIP64_LIMIT = 0xffffffff;
+
+  /**
+   * 生成 ZIP 数据流。大于 4GB 的文件、偏移量或条目数超过限制时使用 ZIP64 扩展
+   * @param {R2Bucket} bucket 
+   * @param {Array<{key: string, size: number, uploaded: Date, etag?: string}>} entries 
+   * @param {string} base 从键中去掉的前缀
+   * @returns {ReadableStream}
+   */
+  function createZipStream(bucket, entries, base) {
+    const encoder = new TextEncoder();
+    const central = [];
+    let offset = 0;
+
+    async function* generate() {
+      for (const entry of entries) {
+        const name = encoder.encode(entry.key.substring(base.length));
+        const isDirectory = entry.key.endsWith('/');
+        const zip64 = entry.size >= ZIP64_LIMIT;
+        const { time, date } = dosDateTime(entry.uploaded);
+        const record = { name, isDirectory, zip64, time, date, offset, size: entry.size, crc: 0 };
+
+        // 本地文件头：CRC 和大小写在数据描述符中（标志位 3），文件名使用 UTF-8（标志位 11）
+        const header = new ZipWriter(30 + name.length + (zip64 ? 20 : 0));
+        header.u32(0x04034b50).u16(zip64 ? 45 : 20).u16(0x0808).u16(0).u16(time).u16(date)
+          .u32(0).u32(zip64 ? ZIP64_LIMIT : 0).u32(zip64 ? ZIP64_LIMIT : 0)
+          .u16(name.length).u16(zip64 ? 20 : 0).bytes(name);
+        if (zip64) header.u16(0x0001).u16(16).u64(0).u64(0);
+        yield header.data;
+        offset += header.data.length;
+
+        if (!isDirectory) {
+          // 只读取列出时的版本，文件在打包期间被修改时中止，而不是写入与大小不符的内容
+          const object = await bucket.get(entry.key, entry.etag ? { onlyIf: { etagMatches: entry.etag } } : {});
+          if (!object || !object.body) throw new Error(`Object changed while zipping: ${entry.key}`);
+          let crc = 0xffffffff;
+          let written = 0;
+          for await (const chunk of object.body) {
+            crc = crc32Update(crc, chunk);
+            written += chunk.length;
+            yield chunk;
+          }
+          if (written !== entry.size) throw new Error(`Object changed while zipping: ${entry.key}`);
+          record.crc = (crc ^ 0xffffffff) >>> 0;
+          offset += written;
+        }
+
+        const descriptor = new ZipWriter(zip64 ? 24 : 16);
+        descriptor.u32(0x08074b50).u32(record.crc);
+        if (zip64) descriptor.u64(entry.size).u64(entry.size);
+        else descriptor.u32(entry.size).u32(entry.size);
+        yield descriptor.data;
+        offset += descriptor.data.length;
+        central.push(record);
+      }
+
+      // 中央目录
+      const centralOffset = offset;
+      for (const record of central) {
+        const sizeOverflow = record.size >= ZIP64_LIMIT;
+        const offsetOverflow = record.offset >= ZIP64_LIMIT;
+        const extraLength = (sizeOverflow ? 16 : 0) + (offsetOverflow ? 8 : 0);
+        const header = new ZipWriter(46 + record.name.length + (extraLength ? extraLength + 4 : 0));
+        header.u32(0x02014b50).u16(45).u16(record.zip64 || offsetOverflow ? 45 : 20).u16(0x0808).u16(0)
+          .u16(record.time).u16(record.date).u32(record.crc)
+          .u32(sizeOverflow ? ZIP64_LIMIT : record.size).u32(sizeOverflow ? ZIP64_LIMIT : record.size)
+          .u16(record.name.length).u16(extraLength ? extraLength + 4 : 0).u16(0).u16(0).u16(0)
+          .u32(record.isDirectory ? 0x10 : 0).u32(offsetOverflow ? ZIP64_LIMIT : record.offset)
+          .bytes(record.name);
+        if (extraLength) {
+          header.u16(0x0001).u16(extraLength);
+          if (sizeOverflow) header.u64(record.size).u64(record.size);
+          if (offsetOverflow) header.u64(record.offset);
+        }
+        yield header.data;
+        offset += header.data.length;
+      }
+      const centralSize = offset - centralOffset;
+
+      const needsZip64 = central.length >= 0xffff || centralOffset >= ZIP64_LIMIT || centralSize >= ZIP64_LIMIT;
+      if (needsZip64) {
+        const zip64End = new ZipWriter(56 + 20);
+        zip64End.u32(0x06064b50).u64(44).u16(45).u16(45).u32(0).u32(0)
+          .u64(central.length).u64(central.length).u64(centralSize).u64(centralOffset);
+        zip64End.u32(0x07064b50).u32(0).u64(offset).u32(1);
+        yield zip64End.data;
+      }
+      const end = new ZipWriter(22);
+      end.u32(0x06054b50).u16(0).u16(0)
+        .u16(needsZip64 ? 0xffff : central.length).u16(needsZip64 ? 0xffff : central.length)
+        .u32(needsZip64 ? ZIP64_LIMIT : centralSize).u32(needsZip64 ? ZIP64_LIMIT : centralOffset).u16(0);
+      yield end.data;
+    }
+
+    const chunks = generate();
+    return new ReadableStream({
+      async pull(controller) {
+        try {
+          const { value, done } = await chunks.next();
+          if (done) controller.close();
+          else controller.enqueue(value);
+        } catch (e) {
+          console.error('ZIP stream failed', e);
+          controller.error(e);
+        }
+      },
+      cancel() {
+        return chunks.return();
+      },
+    });
+  }
+
+  // 按小端序写入 ZIP 头部字段
+  class ZipWriter {
+    constructor(length) {
+      this.data = new Uint8Array(length);
+      this.view = new DataView(this.data.buffer);
+      this.position = 0;
+    }
+    u16(value) {
+      this.view.setUint16(this.position, value, true);
+      this.position += 2;
+      return this;
+    }
+    u32(value) {
+      this.view.setUint32(this.position, value, true);
+      this.position += 4;
+      return this;
+    }
+    u64(value) {
+      this.view.setBigUint64(this.position, BigInt(value), true);
+      this.position += 8;
+      return this;
+    }
+    bytes(value) {
+      this.data.set(value, this.position);
+      this.position += value.length;
+      return this;
+    }
+  }
+
+  function dosDateTime(value) {
+    const d = new Date(value || Date.now());
+    const year = Math.max(1980, d.getUTCFullYear());
+    return {
+      time: (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) | (d.getUTCSeconds() >> 1),
+      date: ((year - 1980) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate(),
+    };
+  }
+
+  let crc32Table = null;
+
+  function crc32Update(crc, bytes) {
+    if (!crc32Table) {
+      crc32Table = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crc32Table[n] = c >>> 0;
+      }
+    }
+    for (let i = 0; i < bytes.length; i++) {
+      crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return crc;
+  }
+
+  // --- 缩略图 ---
+  // GET /api/thumbnail?path=  返回图片的 JPEG 缩略图，最长边不超过 THUMBNAIL_SIZE。
+  // 在 Worker 内用纯 JS 解码，不依赖外部服务：JPEG 只解码每个 8x8 块的直流分量，直接得到 1/8 大小的图像；
+  // PNG 边解压边逐行缩小，不在内存中保留整张图片。
+  // 生成的缩略图缓存在 THUMBNAIL_PREFIX/<路径>/<ETag>.jpg，源文件被覆盖、删除或移走时一并删除。
+  const THUMBNAIL_SIZE = 256;
+  const THUMBNAIL_QUALITY = 75;
+  // 超过以下大小的图片不生成缩略图，避免超出 Worker 的 CPU 和内存限制
+  const THUMBNAIL_MAX_SOURCE_SIZE = 30 * 1024 * 1024;
+  const THUMBNAIL_MAX_PIXELS = 100 * 1000 * 1000;
+  // 逐行缩小时按宽度分配的缓冲区上限。总像素数受限时宽度仍可能极大（例如只有一行），需要单独限制
+  const THUMBNAIL_MAX_ROW_BYTES = 4 * 1024 * 1024;
+  // 不超过此大小的图片直接返回原图，只解码 1/8 的 JPEG 对小图来说太模糊
+  const THUMBNAIL_ORIGINAL_LIMIT = 256 * 1024;
+
+  function thumbnailPrefix(path) {
+    return THUMBNAIL_PREFIX + path + (path.endsWith('/') ? '' : '/');
+  }
+
+  /**
+   * 删除文件（或文件夹中所有文件）的缓存缩略图
+   * @param {Object} env
+   * @param {string} path 文件路径，或以 '/' 结尾的文件夹路径
+   */
+  async function invalidateThumbnails(env, path) {
+    await deletePrefix(env.MY_DRIVE_BUCKET, thumbnailPrefix(path));
+  }
+
+  /**
+   * 删除一组文件的缓存缩略图，用于批量删除。每个文件夹只列出一次，只有生成过缩略图的文件才需要再列出
+   * @param {Object} env
+   * @param {string[]} paths 文件路径
+   */
+  async function invalidateFileThumbnails(env, paths) {
+    const bucket = env.MY_DRIVE_BUCKET;
+    const wanted = new Set(paths.map(thumbnailPrefix));
+    const cached = [];
+    for (const folder of new Set(paths.map(parentFolder))) {
+      let cursor;
+      do {
+        const list = await bucket.list({ prefix: THUMBNAIL_PREFIX + folder, delimiter: '/', cursor });
+        cached.push(...list.delimitedPrefixes.filter(prefix => wanted.has(prefix)));
+        cursor = list.truncated ? list.cursor : undefined;
+      } while (cursor);
+    }
+    for (const prefix of cached) await deletePrefix(bucket, prefix);
+  }
+
+  async function handleThumbnail(request, env, user) {
+    if (request.method !== 'GET') return new Response('Method Not Allowed', { status: 405 });
+    const path = new URL(request.url).searchParams.get('path');
+    if (!path || path.endsWith('/')) return new Response('A file path is required', { status: 400 });
+    if (!can(user, 'read', path)) return forbidden();
+    const bucket = env.MY_DRIVE_BUCKET;
+    const source = await bucket.head(path);
+    if (source === null) return new Response('Object Not Found', { status: 404 });
+    // 缩略图随源文件变化，前端请求时带上源文件的 ETag，浏览器可以放心缓存
+    const headers = new Headers({ 'Content-Type': 'image/jpeg', 'Cache-Control': 'private, max-age=86400', ETag: source.httpEtag });
+    if (isNotModified(request.headers, source)) return new Response(null, { status: 304, headers });
+
+    // SVG 可以包含脚本，不作为原图返回
+    const contentType = (source.httpMetadata && source.httpMetadata.contentType) || detectContentType(path, null);
+    if (source.size <= THUMBNAIL_ORIGINAL_LIMIT && contentType.startsWith('image/') && !contentType.includes('svg')) {
+      const original = await bucket.get(path);
+      if (original === null) return new Response('Object Not Found', { status: 404 });
+      headers.set('Content-Type', contentType);
+      return new Response(original.body, { headers });
+    }
+
+    const cacheKey = `${thumbnailPrefix(path)}${source.etag}.jpg`;
+    const cached = await bucket.get(cacheKey);
+    if (cached !== null) return new Response(cached.body, { headers });
+    if (source.size > THUMBNAIL_MAX_SOURCE_SIZE) return new Response('Image too large for a thumbnail', { status: 413 });
+
+    const object = await bucket.get(path, { onlyIf: { etagMatches: source.etag } });
+    if (object === null || !object.body) return new Response('Object changed, please retry', { status: 409 });
+    let image = null;
+    try {
+      image = await decodeThumbnailSource(new Uint8Array(await object.arrayBuffer()));
+    } catch (e) {
+      console.error(`Failed to decode ${path}`, e);
+    }
+    if (!image) return new Response('Unsupported image format', { status: 415 });
+    const jpeg = encodeJpeg(image, THUMBNAIL_QUALITY);
+    await bucket.put(cacheKey, jpeg, { httpMetadata: { contentType: 'image/jpeg' } });
+    return new Response(jpeg, { headers });
+  }
+
+  /**
+   * 按文件头识别格式并解码成缩略图大小的 RGB 图像
+   * @param {Uint8Array} data
+   * @returns {Promise<{width: number, height: number, data: Uint8Array}|null>} 不支持的格式返回 null
+   */
+  async function decodeThumbnailSource(data) {
+    if (data[0] === 0xFF && data[1] === 0xD8) return decodeJpegThumbnail(data);
+    if (data[0] === 0x89 && data[1] === 0x50 && data[2] === 0x4E && data[3] === 0x47) return await decodePngThumbnail(data);
+    return null;
+  }
+
+  /**
+   * 按块取平均值缩小图像，逐行输入 RGB 像素，不保留原图
+   * @param {number} width 原图宽度
+   * @param {number} height 原图高度
+   * @param {number} maxSize 缩小后最长边的上限
+   * @returns {Object|null} 图片过宽、每行的缓冲区（列映射和调用方的 RGB 行）超出 THUMBNAIL_MAX_ROW_BYTES 时返回 null
+   */
+  function createImageScaler(width, height, maxSize) {
+    if (width * (Uint32Array.BYTES_PER_ELEMENT + 3) > THUMBNAIL_MAX_ROW_BYTES) return null;
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    const targetWidth = Math.max(1, Math.round(width * scale));
+    const targetHeight = Math.max(1, Math.round(height * scale));
+    const sums = new Uint32Array(targetWidth * targetHeight * 3);
+    const counts = new Uint32Array(targetWidth * targetHeight);
+    const columns = new Uint32Array(width);
+    for (let x = 0; x < width; x++) columns[x] = Math.min(targetWidth - 1, Math.floor(x * targetWidth / width));
+    return {
+      addRow(y, row) {
+        const base = Math.min(targetHeight - 1, Math.floor(y * targetHeight / height)) * targetWidth;
+        for (let x = 0; x < width; x++) {
+          const cell = base + columns[x];
+          sums[cell * 3] += row[x * 3];
+          sums[cell * 3 + 1] += row[x * 3 + 1];
+          sums[cell * 3 + 2] += row[x * 3 + 2];
+          counts[cell]++;
+        }
+      },
+      finish() {
+        const data = new Uint8Array(targetWidth * targetHeight * 3);
+        for (let i = 0; i < counts.length; i++) {
+          const count = counts[i] || 1;
+          data[i * 3] = Math.round(sums[i * 3] / count);
+          data[i * 3 + 1] = Math.round(sums[i * 3 + 1] / count);
+          data[i * 3 + 2] = Math.round(sums[i * 3 + 2] / count);
+        }
+        return { width: targetWidth, height: targetHeight, data };
+      },
+    };
+  }
+
+  /**
+   * 按 EXIF 方向旋转或翻转图像
+   * @param {{width: number, height: number, data: Uint8Array}} image
+   * @param {number} orientation EXIF Orientation，1-8
+   */
+  function orientImage(image, orientation) {
+    if (!(orientation >= 2 && orientation <= 8)) return image;
+    const { width, height, data } = image;
+    const swap = orientation >= 5;
+    const outWidth = swap ? height : width;
+    const outHeight = swap ? width : height;
+    const out = new Uint8Array(data.length);
+    for (let y = 0; y < outHeight; y++) {
+      for (let x = 0; x < outWidth; x++) {
+        let sx;
+        let sy;
+        switch (orientation) {
+          case 2: sx = width - 1 - x; sy = y; break;
+          case 3: sx = width - 1 - x; sy = height - 1 - y; break;
+          case 4: sx = x; sy = height - 1 - y; break;
+          case 5: sx = y; sy = x; break;
+          case 6: sx = y; sy = height - 1 - x; break;
+          case 7: sx = width - 1 - y; sy = height - 1 - x; break;
+          default: sx = width - 1 - y; sy = x; break;
+        }
+        out.set(data.subarray((sy * width + sx) * 3, (sy * width + sx) * 3 + 3), (y * outWidth + x) * 3);
+      }
+    }
+    return { width: outWidth, height: outHeight, data: out };
+  }
+
+  function readExifOrientation(segment) {
+    // APP1 段以 "Exif\0\0" 开头，之后是 TIFF 结构，方向记录在第一个 IFD 的 0x0112 标签中
+    if (segment.length < 14 || String.fromCharCode(...segment.subarray(0, 4)) !== 'Exif') return 1;
+    try {
+      const view = new DataView(segment.buffer, segment.byteOffset + 6, segment.byteLength - 6);
+      const little = view.getUint16(0) === 0x4949;
+      const ifd = view.getUint32(4, little);
+      const count = view.getUint16(ifd, little);
+      for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (view.getUint16(entry, little) === 0x0112) return view.getUint16(entry + 8, little);
+      }
+    } catch (e) {
+      // EXIF 损坏时按默认方向处理
+    }
+    return 1;
+  }
+
+  function buildHuffmanTable(counts, symbols) {
+    const maxCode = new Int32Array(17).fill(-1);
+    const minCode = new Int32Array(17);
+    const valuePointer = new Int32Array(17);
+    let code = 0;
+    let index = 0;
+    for (let length = 1; length <= 16; length++) {
+      const count = counts[length - 1];
+      valuePointer[length] = index;
+      minCode[length] = code;
+      code += count;
+      index += count;
+      if (count > 0) maxCode[length] = code - 1;
+      code <<= 1;
+    }
+    return { maxCode, minCode, valuePointer, symbols };
+  }
+
+  /**
+   * 读取 JPEG 熵编码数据的位流，自动跳过 0xFF 后填充的 0x00
+   * @param {Uint8Array} data
+   * @param {number} start
+   * @param {number} end 扫描数据结束的位置（下一个标记）
+   */
+  function createBitReader(data, start, end) {
+    let pos = start;
+    let byte = 0;
+    let bits = 0;
+    const readBit = () => {
+      if (bits === 0) {
+        byte = pos < end ? data[pos++] : 0;
+        if (byte === 0xFF) pos++;
+        bits = 8;
+      }
+      bits--;
+      return (byte >> bits) & 1;
+    };
+    const readBits = (count) => {
+      let value = 0;
+      for (let i = 0; i < count; i++) value = (value << 1) | readBit();
+      return value;
+    };
+    return {
+      readBit,
+      readBits,
+      decode(table) {
+        if (!table) throw new Error('Missing Huffman table');
+        let code = 0;
+        for (let length = 1; length <= 16; length++) {
+          code = (code << 1) | readBit();
+          if (code <= table.maxCode[length]) return table.symbols[table.valuePointer[length] + code - table.minCode[length]];
+        }
+        throw new Error('Invalid Huffman code');
+      },
+      receiveExtend(size) {
+        const value = readBits(size);
+        return value < 1 << (size - 1) ? value - (1 << size) + 1 : value;
+      },
+      // 跳到下一个 RST 标记之后，丢弃当前字节剩余的位
+      restart() {
+        bits = 0;
+        while (pos < end && !(data[pos] === 0xFF && data[pos + 1] >= 0xD0 && data[pos + 1] <= 0xD7)) pos++;
+        pos += 2;
+      },
+    };
+  }
+
+  /**
+   * 解码 JPEG 各块的直流分量，得到约为原图 1/8 大小的图像，再缩小到缩略图尺寸。
+   * 支持基线和渐进式的灰度、YCbCr 图像；渐进式只读取直流扫描，交流扫描直接跳过
+   * @param {Uint8Array} data
+   * @returns {{width: number, height: number, data: Uint8Array}|null}
+   */
+  function decodeJpegThumbnail(data) {
+    const quantTables = [];
+    const dcTables = [];
+    const acTables = [];
+    let frame = null;
+    let restartInterval = 0;
+    let orientation = 1;
+    let adobeTransform = null;
+    let pos = 2;
+    while (pos < data.length - 1) {
+      if (data[pos] !== 0xFF) {
+        pos++;
+        continue;
+      }
+      const marker = data[pos + 1];
+      pos += 2;
+      // 填充字节和没有长度字段的标记
+      if (marker === 0xFF) {
+        pos--;
+        continue;
+      }
+      if (marker === 0x00 || marker === 0x01 || marker === 0xD8 || (marker >= 0xD0 && marker <= 0xD7)) continue;
+      if (marker === 0xD9) break;
+      const length = (data[pos] << 8) | data[pos + 1];
+      const segment = data.subarray(pos + 2, pos + length);
+      pos += length;
+
+      if (marker === 0xDB) {
+        // 只需要每个量化表的第一个值（直流）
+        for (let i = 0; i < segment.length;) {
+          const precision = segment[i] >> 4;
+          quantTables[segment[i] & 15] = precision ? (segment[i + 1] << 8) | segment[i + 2] : segment[i + 1];
+          i += 1 + 64 * (precision ? 2 : 1);
+        }
+      } else if (marker === 0xC4) {
+        for (let i = 0; i < segment.length;) {
+          const counts = segment.subarray(i + 1, i + 17);
+          const total = counts.reduce((sum, count) => sum + count, 0);
+          const table = buildHuffmanTable(counts, segment.subarray(i + 17, i + 17 + total));
+          (segment[i] >> 4 ? acTables : dcTables)[segment[i] & 15] = table;
+          i += 17 + total;
+        }
+      } else if (marker === 0xC0 || marker === 0xC1 || marker === 0xC2) {
+        const height = (segment[1] << 8) | segment[2];
+        const width = (segment[3] << 8) | segment[4];
+        if (segment[0] !== 8 || !width || !height || width * height > THUMBNAIL_MAX_PIXELS) return null;
+        const components = [];
+        for (let i = 0; i < segment[5]; i++) {
+          const offset = 6 + i * 3;
+          components.push({ id: segment[offset], h: segment[offset + 1] >> 4, v: segment[offset + 1] & 15, quant: segment[offset + 2], pred: 0 });
+        }
+        if (components.length !== 1 && components.length !== 3) return null;
+        const maxH = Math.max(...components.map(c => c.h));
+        const maxV = Math.max(...components.map(c => c.v));
+        const mcusPerLine = Math.ceil(width / (8 * maxH));
+        const mcusPerColumn = Math.ceil(height / (8 * maxV));
+        for (const component of components) {
+          component.blocksPerLine = Math.ceil(Math.ceil(width * component.h / maxH) / 8);
+          component.blocksPerColumn = Math.ceil(Math.ceil(height * component.v / maxV) / 8);
+          // 交错扫描按 MCU 排列，块数会补齐到 MCU 的整数倍
+          component.stride = mcusPerLine * component.h;
+          component.dc = new Int32Array(component.stride * mcusPerColumn * component.v);
+        }
+        frame = { width, height, components, maxH, maxV, mcusPerLine, mcusPerColumn };
+      } else if (marker >= 0xC3 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+        // 无损和算术编码的 JPEG 很少见，不支持
+        return null;
+      } else if (marker === 0xDD) {
+        restartInterval = (segment[0] << 8) | segment[1];
+      } else if (marker === 0xE1) {
+        orientation = readExifOrientation(segment);
+      } else if (marker === 0xEE && String.fromCharCode(...segment.subarray(0, 5)) === 'Adobe') {
+        adobeTransform = segment[11];
+      } else if (marker === 0xDA) {
+        if (!frame) return null;
+        const count = segment[0];
+        const scanComponents = [];
+        for (let i = 0; i < count; i++) {
+          const component = frame.components.find(c => c.id === segment[1 + i * 2]);
+          if (!component) return null;
+          component.dcTable = dcTables[segment[2 + i * 2] >> 4];
+          component.acTable = acTables[segment[2 + i * 2] & 15];
+          scanComponents.push(component);
+        }
+        const spectralStart = segment[1 + count * 2];
+        const spectralEnd = segment[2 + count * 2];
+        const successiveHigh = segment[3 + count * 2] >> 4;
+        const successiveLow = segment[3 + count * 2] & 15;
+        // 熵编码数据一直到下一个非 RST 标记为止
+        let end = pos;
+        while (end < data.length - 1 && !(data[end] === 0xFF && data[end + 1] !== 0 && !(data[end + 1] >= 0xD0 && data[end + 1] <= 0xD7))) end++;
+        if (spectralStart === 0) {
+          decodeJpegDcScan(createBitReader(data, pos, end), frame, scanComponents, restartInterval, spectralEnd, successiveHigh, successiveLow);
+        }
+        pos = end;
+      }
+    }
+    if (!frame) return null;
+
+    // 每个块的直流分量乘以量化值再除以 8 就是该块的平均亮度（减去 128 的偏移）
+    const { width, height, components, maxH, maxV } = frame;
+    const outWidth = Math.ceil(width / 8);
+    const outHeight = Math.ceil(height / 8);
+    const scaler = createImageScaler(outWidth, outHeight, THUMBNAIL_SIZE);
+    if (!scaler) return null;
+    const row = new Uint8Array(outWidth * 3);
+    const values = new Float64Array(components.length);
+    const clamp = value => (value < 0 ? 0 : value > 255 ? 255 : value);
+    for (let y = 0; y < outHeight; y++) {
+      for (let x = 0; x < outWidth; x++) {
+        components.forEach((component, index) => {
+          const blockRow = Math.floor(y * component.v / maxV);
+          const blockColumn = Math.floor(x * component.h / maxH);
+          values[index] = component.dc[blockRow * component.stride + blockColumn] * (quantTables[component.quant] || 1) / 8 + 128;
+        });
+        if (components.length === 1) {
+          row[x * 3] = row[x * 3 + 1] = row[x * 3 + 2] = clamp(values[0]);
+        } else if (adobeTransform === 0) {
+          row[x * 3] = clamp(values[0]);
+          row[x * 3 + 1] = clamp(values[1]);
+          row[x * 3 + 2] = clamp(values[2]);
+        } else {
+          const [luma, cb, cr] = values;
+          row[x * 3] = clamp(luma + 1.402 * (cr - 128));
+          row[x * 3 + 1] = clamp(luma - 0.344136 * (cb - 128) - 0.714136 * (cr - 128));
+          row[x * 3 + 2] = clamp(luma + 1.772 * (cb - 128));
+        }
+      }
+      scaler.addRow(y, row);
+    }
+    return orientImage(scaler.finish(), orientation);
+  }
+
+  /**
+   * 解码一次扫描中的直流分量。基线扫描同时包含交流分量，解码后丢弃
+   */
+  function decodeJpegDcScan(reader, frame, components, restartInterval, spectralEnd, successiveHigh, successiveLow) {
+    const decodeBlock = (component, blockRow, blockColumn) => {
+      const index = blockRow * component.stride + blockColumn;
+      if (successiveHigh === 0) {
+        const size = reader.decode(component.dcTable);
+        component.pred += size === 0 ? 0 : reader.receiveExtend(size);
+        component.dc[index] = component.pred * (1 << successiveLow);
+      } else if (reader.readBit()) {
+        // 渐进式的直流细化扫描，每块补一位
+        component.dc[index] |= 1 << successiveLow;
+      }
+      for (let k = 1; k <= spectralEnd;) {
+        const symbol = reader.decode(component.acTable);
+        const size = symbol & 15;
+        if (size === 0) {
+          if (symbol >> 4 !== 15) break;
+          k += 16;
+        } else {
+          k += (symbol >> 4) + 1;
+          reader.readBits(size);
+        }
+      }
+    };
+
+    // 单分量扫描不按 MCU 交错，按该分量自身的块数逐块排列
+    const single = components.length === 1;
+    const columns = single ? components[0].blocksPerLine : frame.mcusPerLine;
+    const total = single ? columns * components[0].blocksPerColumn : frame.mcusPerLine * frame.mcusPerColumn;
+    components.forEach(component => { component.pred = 0; });
+    for (let mcu = 0; mcu < total; mcu++) {
+      if (restartInterval && mcu > 0 && mcu % restartInterval === 0) {
+        reader.restart();
+        components.forEach(component => { component.pred = 0; });
+      }
+      const mcuRow = Math.floor(mcu / columns);
+      const mcuColumn = mcu % columns;
+      if (single) {
+        decodeBlock(components[0], mcuRow, mcuColumn);
+        continue;
+      }
+      for (const component of components) {
+        for (let v = 0; v < component.v; v++) {
+          for (let h = 0; h < component.h; h++) {
+            decodeBlock(component, mcuRow * component.v + v, mcuColumn * component.h + h);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * 解码 PNG 并逐行缩小。支持所有非隔行扫描的颜色类型和位深，透明部分按白色背景合成
+   * @param {Uint8Array} data
+   * @returns {Promise<{width: number, height: number, data: Uint8Array}|null>}
+   */
+  async function decodePngThumbnail(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const chunks = [];
+    for (let pos = 8; pos + 8 <= data.length;) {
+      const length = view.getUint32(pos);
+      const type = String.fromCharCode(...data.subarray(pos + 4, pos + 8));
+      const chunk = data.subarray(pos + 8, pos + 8 + length);
+      pos += 12 + length;
+      if (type === 'IHDR') {
+        header = { width: view.getUint32(16), height: view.getUint32(20), bitDepth: chunk[8], colorType: chunk[9], interlace: chunk[12] };
+      } else if (type === 'PLTE') {
+        palette = chunk;
+      } else if (type === 'tRNS') {
+        transparency = chunk;
+      } else if (type === 'IDAT') {
+        chunks.push(chunk);
+      } else if (type === 'IEND') {
+        break;
+      }
+    }
+    if (!header || header.interlace !== 0 || header.width * header.height > THUMBNAIL_MAX_PIXELS) return null;
+    const { width, height, bitDepth, colorType } = header;
+    const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+    if (!channels || (colorType === 3 && !palette)) return null;
+
+    const bytesPerPixel = Math.max(1, (channels * bitDepth) >> 3);
+    const stride = Math.ceil(width * channels * bitDepth / 8);
+    const maxSample = (1 << Math.min(bitDepth, 8)) - 1;
+    const sample = (line, index) => {
+      if (bitDepth === 16) return line[index * 2];
+      if (bitDepth === 8) return line[index];
+      const bit = index * bitDepth;
+      return (line[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    };
+    // 解压时保留当前行和上一行
+    if (stride * 2 > THUMBNAIL_MAX_ROW_BYTES) return null;
+    const scaler = createImageScaler(width, height, THUMBNAIL_SIZE);
+    if (!scaler) return null;
+    const rgb = new Uint8Array(width * 3);
+    const toRgb = (line) => {
+      for (let x = 0; x < width; x++) {
+        let r;
+        let g;
+        let b;
+        let alpha = 255;
+        if (colorType === 3) {
+          const index = sample(line, x);
+          r = palette[index * 3];
+          g = palette[index * 3 + 1];
+          b = palette[index * 3 + 2];
+          if (transparency && index < transparency.length) alpha = transparency[index];
+        } else if (colorType === 2 || colorType === 6) {
+          r = sample(line, x * channels);
+          g = sample(line, x * channels + 1);
+          b = sample(line, x * channels + 2);
+          if (colorType === 6) alpha = sample(line, x * channels + 3);
+        } else {
+          r = g = b = Math.round(sample(line, x * channels) * 255 / maxSample);
+          if (colorType === 4) alpha = sample(line, x * channels + 1);
+        }
+        rgb[x * 3] = Math.round((r * alpha + 255 * (255 - alpha)) / 255);
+        rgb[x * 3 + 1] = Math.round((g * alpha + 255 * (255 - alpha)) / 255);
+        rgb[x * 3 + 2] = Math.round((b * alpha + 255 * (255 - alpha)) / 255);
+      }
+      return rgb;
+    };
+
+    let previous = new Uint8Array(stride);
+    let current = new Uint8Array(stride);
+    let filled = -1;
+    let filter = 0;
+    let y = 0;
+    const reader = new Blob(chunks).stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+    while (y < height) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      for (let i = 0; i < value.length && y < height;) {
+        // 每行以一个字节的过滤类型开头
+        if (filled === -1) {
+          filter = value[i++];
+          filled = 0;
+          continue;
+        }
+        const count = Math.min(stride - filled, value.length - i);
+        current.set(value.subarray(i, i + count), filled);
+        filled += count;
+        i += count;
+        if (filled === stride) {
+          unfilterPngRow(filter, current, previous, bytesPerPixel);
+          scaler.addRow(y++, toRgb(current));
+          [previous, current] = [current, previous];
+          filled = -1;
+        }
+      }
+    }
+    await reader.cancel();
+    return y > 0 ? scaler.finish() : null;
+  }
+
+  function unfilterPngRow(filter, line, previous, bytesPerPixel) {
+    for (let i = 0; i < line.length; i++) {
+      const left = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+      const up = previous[i];
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      let predictor = 0;
+      if (filter === 1) {
+        predictor = left;
+      } else if (filter === 2) {
+        predictor = up;
+      } else if (filter === 3) {
+        predictor = (left + up) >> 1;
+      } else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const distanceLeft = Math.abs(estimate - left);
+        const distanceUp = Math.abs(estimate - up);
+        const distanceUpLeft = Math.abs(estimate - upLeft);
+        predictor = distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft ? left : distanceUp <= distanceUpLeft ? up : upLeft;
+      }
+      line[i] = (line[i] + predictor) & 0xFF;
+    }
+  }
+
+  // JPEG 标准（附录 K）中的量化表和哈夫曼表，三个分量共用同一组哈夫曼表
+  const JPEG_LUMA_QUANT = [
+    16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+    14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+    18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+    49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99,
+  ];
+  const JPEG_CHROMA_QUANT = [
+    17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99,
+    24, 26, 56, 99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99, 99, 99,
+    ...new Array(32).fill(99),
+  ];
+  const JPEG_ZIGZAG = [
+    0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+    12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+    35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+    58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63,
+  ];
+  const JPEG_DC_COUNTS = [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0];
+  const JPEG_DC_SYMBOLS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+  const JPEG_AC_COUNTS = [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7D];
+  const JPEG_AC_SYMBOLS = [
+    0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+    0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xA1, 0x08, 0x23, 0x42, 0xB1, 0xC1, 0x15, 0x52, 0xD1, 0xF0,
+    0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0A, 0x16, 0x17, 0x18, 0x19, 0x1A, 0x25, 0x26, 0x27, 0x28,
+    0x29, 0x2A, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3A, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+    0x4A, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5A, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+    0x6A, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7A, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+    0x8A, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9A, 0xA2, 0xA3, 0xA4, 0xA5, 0xA6, 0xA7,
+    0xA8, 0xA9, 0xAA, 0xB2, 0xB3, 0xB4, 0xB5, 0xB6, 0xB7, 0xB8, 0xB9, 0xBA, 0xC2, 0xC3, 0xC4, 0xC5,
+    0xC6, 0xC7, 0xC8, 0xC9, 0xCA, 0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7, 0xD8, 0xD9, 0xDA, 0xE1, 0xE2,
+    0xE3, 0xE4, 0xE5, 0xE6, 0xE7, 0xE8, 0xE9, 0xEA, 0xF1, 0xF2, 0xF3, 0xF4, 0xF5, 0xF6, 0xF7, 0xF8,
+    0xF9, 0xFA,
+  ];
+
+  // 符号 -> [码字, 码长]
+  function buildHuffmanCodes(counts, symbols) {
+    const codes = [];
+    let code = 0;
+    let index = 0;
+    for (let length = 1; length <= 16; length++) {
+      for (let i = 0; i < counts[length - 1]; i++) codes[symbols[index++]] = [code++, length];
+      code <<= 1;
+    }
+    return codes;
+  }
+
+  /**
+   * 编码基线 JPEG（4:4:4 采样）
+   * @param {{width: number, height: number, data: Uint8Array}} image RGB 图像
+   * @param {number} quality 1-100
+   * @returns {Uint8Array}
+   */
+  function encodeJpeg(image, quality) {
+    const { width, height, data } = image;
+    const factor = quality < 50 ? 5000 / quality : 200 - quality * 2;
+    const scaleTable = table => table.map(value => Math.min(255, Math.max(1, Math.floor((value * factor + 50) / 100))));
+    const quantTables = [scaleTable(JPEG_LUMA_QUANT), scaleTable(JPEG_CHROMA_QUANT)];
+    const dcCodes = buildHuffmanCodes(JPEG_DC_COUNTS, JPEG_DC_SYMBOLS);
+    const acCodes = buildHuffmanCodes(JPEG_AC_COUNTS, JPEG_AC_SYMBOLS);
+
+    const bytes = [];
+    const writeWord = value => bytes.push((value >> 8) & 0xFF, value & 0xFF);
+    const writeSegment = (marker, body) => {
+      writeWord(marker);
+      writeWord(body.length + 2);
+      bytes.push(...body);
+    };
+    writeWord(0xFFD8);
+    writeSegment(0xFFE0, [0x4A, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+    writeSegment(0xFFDB, [
+      0, ...JPEG_ZIGZAG.map(i => quantTables[0][i]),
+      1, ...JPEG_ZIGZAG.map(i => quantTables[1][i]),
+    ]);
+    writeSegment(0xFFC0, [8, height >> 8, height & 0xFF, width >> 8, width & 0xFF, 3, 1, 0x11, 0, 2, 0x11, 1, 3, 0x11, 1]);
+    writeSegment(0xFFC4, [0x00, ...JPEG_DC_COUNTS, ...JPEG_DC_SYMBOLS, 0x10, ...JPEG_AC_COUNTS, ...JPEG_AC_SYMBOLS]);
+    writeSegment(0xFFDA, [3, 1, 0x00, 2, 0x00, 3, 0x00, 0, 63, 0]);
+
+    let bitBuffer = 0;
+    let bitCount = 0;
+    const writeBits = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) {
+        bitBuffer = (bitBuffer << 1) | ((value >> i) & 1);
+        if (++bitCount === 8) {
+          bytes.push(bitBuffer);
+          // 0xFF 后要填充 0x00，避免被当作标记
+          if (bitBuffer === 0xFF) bytes.push(0);
+          bitBuffer = 0;
+          bitCount = 0;
+        }
+      }
+    };
+    const bitLength = value => {
+      let length = 0;
+      for (let v = Math.abs(value); v > 0; v >>= 1) length++;
+      return length;
+    };
+    const writeValue = (value, length) => writeBits(value < 0 ? value + (1 << length) - 1 : value, length);
+
+    const cosines = new Float64Array(64);
+    for (let u = 0; u < 8; u++) {
+      for (let x = 0; x < 8; x++) cosines[u * 8 + x] = (u === 0 ? Math.SQRT1_2 : 1) * Math.cos((2 * x + 1) * u * Math.PI / 16) / 2;
+    }
+    const block = new Float64Array(64);
+    const temp = new Float64Array(64);
+    const predictions = [0, 0, 0];
+    const encodeBlock = (component) => {
+      // 二维 DCT 拆成行、列两次一维变换
+      for (let y = 0; y < 8; y++) {
+        for (let u = 0; u < 8; u++) {
+          let sum = 0;
+          for (let x = 0; x < 8; x++) sum += cosines[u * 8 + x] * block[y * 8 + x];
+          temp[y * 8 + u] = sum;
+        }
+      }
+      const quant = quantTables[component === 0 ? 0 : 1];
+      const coefficients = new Int32Array(64);
+      for (let v = 0; v < 8; v++) {
+        for (let u = 0; u < 8; u++) {
+          let sum = 0;
+          for (let y = 0; y < 8; y++) sum += cosines[v * 8 + y] * temp[y * 8 + u];
+          coefficients[v * 8 + u] = Math.round(sum / quant[v * 8 + u]);
+        }
+      }
+      const diff = coefficients[0] - predictions[component];
+      predictions[component] = coefficients[0];
+      const dcLength = bitLength(diff);
+      writeBits(...dcCodes[dcLength]);
+      writeValue(diff, dcLength);
+      let run = 0;
+      for (let k = 1; k < 64; k++) {
+        const value = coefficients[JPEG_ZIGZAG[k]];
+        if (value === 0) {
+          run++;
+          continue;
+        }
+        while (run > 15) {
+          writeBits(...acCodes[0xF0]);
+          run -= 16;
+        }
+        const length = bitLength(value);
+        writeBits(...acCodes[(run << 4) | length]);
+        writeValue(value, length);
+        run = 0;
+      }
+      if (run > 0) writeBits(...acCodes[0x00]);
+    };
+
+    for (let blockY = 0; blockY < height; blockY += 8) {
+      for (let blockX = 0; blockX < width; blockX += 8) {
+        for (let component = 0; component < 3; component++) {
+          for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) {
+              // 边缘不足 8 像素的块重复最后一行/列
+              const offset = (Math.min(blockY + y, height - 1) * width + Math.min(blockX + x, width - 1)) * 3;
+              const r = data[offset];
+              const g = data[offset + 1];
+              const b = data[offset + 2];
+              block[y * 8 + x] = component === 0 ? 0.299 * r + 0.587 * g + 0.114 * b - 128
+                : component === 1 ? -0.168736 * r - 0.331264 * g + 0.5 * b
+                : 0.5 * r - 0.418688 * g - 0.081312 * b;
+            }
+          }
+          encodeBlock(component);
+        }
+      }
+    }
+    // 用 1 补齐最后一个字节
+    if (bitCount > 0) writeBits(0x7F, 8 - bitCount);
+    writeWord(0xFFD9);
+    return new Uint8Array(bytes);
+  }
+
+  // --- 分享管理 ---
+  // 分享记录以 JSON 形式保存在 SHARE_PREFIX 下，键为分享令牌
+  // 创建、查看和撤销分享都需要对分享路径有 share 权限
+  async function handleShares(request, env, user) {
+    switch (request.method) {
+      case 'GET': {
+        const shares = [];
+        for await (const object of listAllObjects(env.MY_DRIVE_BUCKET, SHARE_PREFIX)) {
+          const share = await loadShare(env, object.key.substring(SHARE_PREFIX.length));
+          if (share && canRecursive(user, 'share', share.path)) shares.push(describeShare(share));
+        }
+        shares.sort((a, b) => b.createdAt - a.createdAt);
+        return jsonResponse(shares);
+      }
+      case 'POST': {
+        const body = await readJson(request);
+        if (body === null) return invalidJsonResponse();
+        const { path, expiresInDays, password, maxDownloads } = body;
+        if (!path) return new Response('Path is required', { status: 400 });
+        if (isReservedPath(path)) return new Response('Reserved path', { status: 403 });
+        if (!canRecursive(user, 'share', path)) return forbidden();
+        const isFolder = path.endsWith('/');
+        const exists = isFolder
+          ? (await env.MY_DRIVE_BUCKET.list({ prefix: path, limit: 1 })).objects.length > 0
+          : (await env.MY_DRIVE_BUCKET.head(path)) !== null;
+        if (!exists) return new Response('Object Not Found', { status: 404 });
+        const now = Date.now();
+        const share = {
+          token: randomToken(),
+          path,
+          type: isFolder ? 'folder' : 'file',
+          createdAt: now,
+          expiresAt: expiresInDays > 0 ? now + expiresInDays * 24 * 60 * 60 * 1000 : null,
+          maxDownloads: maxDownloads > 0 ? Math.floor(maxDownloads) : null,
+          downloads: 0,
+          salt: null,
+          passwordHash: null,
+        };
+        if (password) {
+          share.salt = randomToken();
+          share.passwordHash = await hashPassword(String(password), share.salt);
+        }
+        await saveShare(env, share);
+        return jsonResponse(describeShare(share), 201);
+      }
+      case 'DELETE': {
+        const token = new URL(request.url).searchParams.get('token');
+        if (!isValidShareToken(token)) return new Response('Invalid token', { status: 400 });
+        const share = await loadShare(env, token);
+        if (!share) return new Response('Share not found', { status: 404 });
+        if (!canRecursive(user, 'share', share.path)) return forbidden();
+        await env.MY_DRIVE_BUCKET.delete(SHARE_PREFIX + token);
+        return new Response(`Share ${token} revoked.`, { status: 200 });
+      }
+      default:
+        return new Response('Method Not Allowed', { status: 405 });
+    }
+  }
+
+  function isValidShareToken(token) {
+    return !!token && /^[A-Za-z0-9_-]+$/.test(token);
+  }
+
+  async function loadShare(env, token) {
+    if (!isValidShareToken(token)) return null;
+    const object = await env.MY_DRIVE_BUCKET.get(SHARE_PREFIX + token);
+    return object ? object.json() : null;
+  }
+
+  async function saveShare(env, share) {
+    await env.MY_DRIVE_BUCKET.put(SHARE_PREFIX + share.token, JSON.stringify(share), {
+      httpMetadata: { contentType: 'application/json' },
+    });
+  }
+
+  const SHARE_UPDATE_RETRIES = 5;
+
+  /**
+   * 修改分享的下载次数。同时下载时各请求读到的次数相同，按 etag 条件写入，冲突时重新读取
+   * @param {number} delta 增加的次数，释放预留的次数时为 -1
+   * @param {boolean} limited 为 true 时超过下载次数上限则不修改
+   * @returns {Promise<boolean|null>} 达到上限或分享已删除时返回 false，多次冲突后返回 null
+   */
+  async function changeShareDownloads(env, token, delta, limited = false) {
+    const bucket = env.MY_DRIVE_BUCKET;
+    for (let attempt = 0; attempt < SHARE_UPDATE_RETRIES; attempt++) {
+      const object = await bucket.get(SHARE_PREFIX + token);
+      if (object === null) return false;
+      const share = await object.json();
+      if (limited && share.maxDownloads && share.downloads + delta > share.maxDownloads) return false;
+      share.downloads = Math.max(0, share.downloads + delta);
+      const saved = await bucket.put(SHARE_PREFIX + token, JSON.stringify(share), {
+        httpMetadata: { contentType: 'application/json' },
+        onlyIf: { etagMatches: object.etag },
+      });
+      if (saved !== null) return true;
+    }
+    console.error(`Failed to update download count of share ${token}`);
+    return null;
+  }
+
+  // 返回给管理界面的分享信息，不包含密码哈希
+  function describeShare(share) {
+    return {
+      token: share.token,
+      path: share.path,
+      type: share.type,
+      createdAt: share.createdAt,
+      expiresAt: share.expiresAt,
+      maxDownloads: share.maxDownloads,
+      downloads: share.downloads,
+      hasPassword: !!share.passwordHash,
+    };
+  }
+
+  // 输入正确密码后写入的 Cookie 值，修改密码后自动失效
+  function shareCookieValue(share) {
+    return sha256Hex(`${share.token}:${share.passwordHash}`);
+  }
+
+  // 限制了下载次数时，一次下载计数后在该时间内对同一文件的后续范围请求不再计数
+  const SHARE_DOWNLOAD_SESSION_TTL = 24 * 60 * 60 * 1000;
+
+  // 已计数下载的 Cookie 值：过期时间及其签名，签名绑定分享和文件
+  async function shareDownloadCookieValue(env, share, objectKey, expiresAt) {
+    return `${expiresAt}.${await hmacHex(env, `share-download:${share.token}:${objectKey}:${expiresAt}`)}`;
+  }
+
+  async function hasShareDownloadSession(env, request, share, objectKey) {
+    const value = getCookie(request, `share_dl_${share.token}`);
+    const expiresAt = Number((value || '').split('.')[0]);
+    if (!(expiresAt > Date.now())) return false;
+    return timingSafeEqual(value, await shareDownloadCookieValue(env, share, objectKey, expiresAt));
+  }
+
+  // --- 分享访问 ---
+  // /s/<token>                  分享页面
+  // /s/<token>/info             分享概要
+  // /s/<token>/unlock           提交分享密码
+  // /s/<token>/list?path=       浏览文件夹分享（path 相对于分享根目录）
+  // /s/<token>/download/<path>  下载分享中的文件
+  async function handleShareRequest(request, env, pathSegments) {
+    const token = pathSegments[1] || '';
+    const action = pathSegments[2];
+    if (!action) {
+      return new Response(getShareHtml(token), {
+        headers: { 'Content-Type': 'text/html;charset=UTF-8' },
+      });
+    }
+
+    const share = await loadShare(env, token);
+    if (!share) return new Response('Share not found', { status: 404 });
+    if (share.expiresAt && share.expiresAt <= Date.now()) {
+      return new Response('Share has expired', { status: 410 });
+    }
+    const url = new URL(request.url);
+    const cookieName = `share_${share.token}`;
+    const unlocked = !share.passwordHash
+      || timingSafeEqual(getCookie(request, cookieName), await shareCookieValue(share));
+    const remainingDownloads = share.maxDownloads ? Math.max(0, share.maxDownloads - share.downloads) : null;
+
+    if (action === 'info') {
+      return jsonResponse({
+        name: share.path.split('/').filter(Boolean).pop(),
+        type: share.type,
+        expiresAt: share.expiresAt,
+        remainingDownloads,
+        requiresPassword: !!share.passwordHash,
+        unlocked,
+      });
+    }
+
+    if (action === 'unlock') {
+      if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
+      if (!share.passwordHash) return new Response('Unlocked', { status: 200 });
+      const limiter = getLoginLimiter(env, request, `share:${share.token}`);
+      const lockedResponse = await limiter.check();
+      if (lockedResponse) return lockedResponse;
+      const body = await readJson(request);
+      if (body === null) return invalidJsonResponse();
+      const { password } = body;
+      const hash = await hashPassword(String(password || ''), share.salt);
+      if (!timingSafeEqual(hash, share.passwordHash)) {
+        return limiter.fail('Incorrect password', 403);
+      }
+      await limiter.reset();
+      const secure = url.protocol === 'https:' ? '; Secure' : '';
+      const cookie = `${cookieName}=${await shareCookieValue(share)}; Path=/s/${share.token}; HttpOnly; SameSite=Lax${secure}`;
+      return new Response('Unlocked', { status: 200, headers: { 'Set-Cookie': cookie } });
+    }
+
+    if (!unlocked) return new Response('Password required', { status: 401 });
+
+    switch (action) {
+      case 'list': {
+        if (share.type !== 'folder') return new Response('Not a folder share', { status: 400 });
+        const relativePath = url.searchParams.get('path') || '';
+        if (relativePath && !relativePath.endsWith('/')) return new Response('Invalid path', { status: 400 });
+        const page = await listDirectory(env.MY_DRIVE_BUCKET, share.path + relativePath, url.searchParams);
+        page.items = page.items
+          .map(item => ({ ...item, path: item.path.substring(share.path.length) }))
+          .filter(item => item.name);
+        return jsonResponse(page);
+      }
+      case 'download': {
+        const encodedPath = url.pathname.substring(`/s/${pathSegments[1]}/download`.length);
+        const decodedPath = decodePathname(encodedPath);
+        if (decodedPath === null) return new Response('Malformed path', { status: 400 });
+        const relativePath = decodedPath.replace(/^\//, '');
+        if (share.type === 'folder' && (!relativePath || relativePath.endsWith('/'))) {
+          return new Response('File path is missing.', { status: 400 });
+        }
+        const objectKey = share.type === 'file' ? share.path : share.path + relativePath;
+        // 断点续传和视频拖动会产生多个范围请求。限制了下载次数时，第一个请求计数后通过 Cookie 标记本次下载，
+        // 之后带该 Cookie 的请求不再计数；没有 Cookie 的请求无论是否从头开始都计数，否则只发范围请求就能绕过限制
+        const session = !!share.maxDownloads && await hasShareDownloadSession(env, request, share, objectKey);
+        if (remainingDownloads === 0 && !session) return new Response('Download limit reached', { status: 410 });
+        // 先预留一次再下载，否则同时发起的请求都能通过上面的检查
+        const limited = request.method === 'GET' && !!share.maxDownloads && !session;
+        if (limited) {
+          const reserved = await changeShareDownloads(env, share.token, 1, true);
+          if (reserved === false) return new Response('Download limit reached', { status: 410 });
+          if (reserved === null) return new Response('Too many concurrent downloads, please retry', { status: 503 });
+        }
+        let response;
+        try {
+          response = await handleDownload(request, env, objectKey);
+        } finally {
+          // 下载失败时归还预留的次数
+          if (limited && !(response && (response.status === 200 || response.status === 206))) {
+            await changeShareDownloads(env, share.token, -1);
+          }
+        }
+        if (limited) {
+          const expiresAt = Date.now() + SHARE_DOWNLOAD_SESSION_TTL;
+          const secure = url.protocol === 'https:' ? '; Secure' : '';
+          const cookie = `share_dl_${share.token}=${await shareDownloadCookieValue(env, share, objectKey, expiresAt)}; `
+            + `Path=/s/${share.token}; Max-Age=${SHARE_DOWNLOAD_SESSION_TTL / 1000}; HttpOnly; SameSite=Lax${secure}`;
+          response = new Response(response.body, response);
+          response.headers.append('Set-Cookie', cookie);
+          return response;
+        }
+        // 未限制次数时只用于统计，只统计从头开始的下载
+        const fromStart = response.status === 200 || (response.headers.get('Content-Range') || '').startsWith('bytes 0-');
+        if (request.method === 'GET' && !share.maxDownloads && fromStart) {
+          await changeShareDownloads(env, share.token, 1);
+        }
+        return response;
+      }
+      default:
+        return new Response('Share action not found.', { status: 404 });
+    }
+  }
+
+  // --- 前端 HTML, CSS, JS ---
+  function getHtml(env) {
+    const passwordEnabled = isAuthEnabled(env);
+    const multiUser = !!env.USERS;
+    const versioningEnabled = isVersioningEnabled(env);
+    const trashEnabled = isTrashEnabled(env);
+    return `
+  <!DOCTYPE html>
+  <html lang="zh-CN">
+  <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>我的公开网盘</title>
+      <style>
+          body { font-family: -apple-system, BlinkMacSystemFont, Segoe UI, Roboto, sans-serif; margin: 0; background-color: #f0f2f5; color: #333; }
+          .container { max-width: 800px; margin: 2rem auto; padding: 2rem; background-color: #fff; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); }
+          h1 { text-align: center; }
+          button { padding: 10px 15px; border: none; background-color: #007bff; color: #fff; border-radius: 4px; cursor: pointer; transition: background-color 0.2s; }
+          button:hover { background-color: #0056b3; }
+          button:disabled { background-color: #ccc; cursor: not-allowed; }
+          #file-list { list-style: none; padding: 0; }
+          #file-list li { display: flex; align-items: center; padding: 12px 8px; border-bottom: 1px solid #eee; transition: background-color 0.2s; }
+          #file-list li:hover { background-color: #f8f9fa; }
+          #file-list li .icon { width: 30px; font-size: 20px; text-align: center; }
+          #file-list li .select-item { margin: 0 6px 0 0; }
+          #file-list li.selected { background-color: #e7f1ff; }
+          #bulk-bar { display: flex; align-items: center; gap: 10px; padding: 8px; border-bottom: 1px solid #eee; }
+          #bulk-bar label { display: flex; align-items: center; gap: 6px; cursor: pointer; }
+          #bulk-actions { display: none; gap: 10px; margin-left: auto; }
+          #bulk-actions.visible { display: flex; }
+          #file-list li .name { flex-grow: 1; cursor: pointer; word-break: break-all; padding: 0 10px; }
+          #file-list li .name:hover { text-decoration: underline; }
+          #file-list li .size { width: 80px; text-align: right; color: #6c757d; font-size: 14px; }
+          #file-list li .actions { display: flex; flex-shrink: 0; }
+          #file-list li .actions button { margin-left: 8px; padding: 5px 8px; font-size: 12px; }
+          #file-list.grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 10px; }
+          #file-list.grid li { position: relative; flex-direction: column; align-items: stretch; padding: 8px; border: 1px solid #eee; border-radius: 4px; }
+          #file-list.grid li .select-item { position: absolute; top: 12px; left: 12px; z-index: 1; }
+          #file-list.grid li .icon { width: auto; aspect-ratio: 1; display: flex; align-items: center; justify-content: center; font-size: 48px; background-color: #f8f9fa; border-radius: 4px; overflow: hidden; cursor: pointer; }
+          #file-list.grid li .icon img { width: 100%; height: 100%; object-fit: cover; }
+          #file-list.grid li .name { padding: 6px 0 0; font-size: 14px; }
+          #file-list.grid li .size { width: auto; text-align: left; font-size: 12px; }
+          #file-list.grid li .actions { display: none; }
+          #file-list.grid li .mobile-actions { display: block; position: absolute; top: 8px; right: 4px; background-color: rgba(255,255,255,0.8); border-radius: 4px; }
+          #file-list.grid li .actions-menu { top: 40px; }
+          .btn-delete { background-color: #dc3545; } .btn-delete:hover { background-color: #c82333; }
+          .btn-copy { background-color: #28a745; } .btn-copy:hover { background-color: #218838; }
+          #breadcrumb { margin-bottom: 1rem; color: #555; word-break: break-all; }
+          #breadcrumb a { color: #007bff; text-decoration: none; }
+          #quota-info { margin-bottom: 1rem; color: #6c757d; font-size: 14px; }
+          #quota-info.quota-low { color: #dc3545; }
+          #preview-modal { display: none; position: fixed; z-index: 1000; left: 0; top: 0; width: 100%; height: 100%; background-color: rgba(0,0,0,0.85); flex-direction: column; }
+          #preview-modal.visible { display: flex; }
+          #preview-header { display: flex; align-items: center; gap: 10px; padding: 10px 20px; color: #fff; }
+          #preview-title { flex-grow: 1; word-break: break-all; }
+          #preview-position { color: #ccc; font-size: 14px; white-space: nowrap; }
+          #preview-header button { padding: 5px 12px; font-size: 14px; }
+          #preview-modal .close { color: #fff; font-size: 36px; font-weight: bold; line-height: 1; cursor: pointer; }
+          #preview-body { flex-grow: 1; min-height: 0; display: flex; flex-direction: column; justify-content: center; align-items: center; padding: 0 20px 20px; }
+          #preview-body img, #preview-body video { max-width: 100%; max-height: 100%; border-radius: 4px; }
+          #preview-body audio { width: 100%; max-width: 600px; }
+          #preview-body iframe { width: 100%; height: 100%; border: none; border-radius: 4px; background: #fff; }
+          #preview-body .preview-text { width: 100%; height: 100%; overflow: auto; box-sizing: border-box; padding: 15px; border-radius: 4px; background: #fff; }
+          #preview-body .preview-message { color: #ccc; padding: 10px; }
+          .preview-text pre { margin: 0; font-size: 13px; white-space: pre-wrap; word-break: break-all; }
+          .preview-text table { border-collapse: collapse; font-size: 13px; }
+          .preview-text th, .preview-text td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; white-space: nowrap; }
+          .preview-text th { position: sticky; top: 0; background: #f5f5f5; }
+          #preview-body .preview-text .preview-message { color: #6c757d; }
+          .preview-text.markdown { line-height: 1.6; }
+          .preview-text.markdown pre, .preview-text.markdown code { background: #f6f8fa; border-radius: 4px; }
+          .preview-text.markdown pre { padding: 10px; }
+          .preview-text.markdown code { padding: 0 4px; }
+          .preview-text.markdown blockquote { margin: 0 0 1em; padding-left: 10px; border-left: 4px solid #ddd; color: #6c757d; }
+          .preview-text.markdown img { max-width: 100%; }
+          .hl-comment { color: #6a737d; } .hl-string { color: #032f62; } .hl-number { color: #005cc5; } .hl-keyword { color: #d73a49; }
+          .hl-error { color: #d73a49; font-weight: bold; } .hl-warn { color: #b08800; font-weight: bold; }
+          .actions-bar { display: flex; gap: 10px; margin-bottom: 1rem; flex-wrap: wrap; align-items: center; }
+          #file-upload { display: none; }
+          #drag-overlay { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0, 123, 255, 0.1); border: 3px dashed #007bff; z-index: 9999; display: none; justify-content: center; align-items: center; font-size: 2rem; color: #007bff; font-weight: bold; }
+          #drag-overlay.visible { display: flex; }
+          .sort-container { display: flex; align-items: center; gap: 10px; }
+          .sort-select { padding: 8px; border-radius: 4px; border: 1px solid #ccc; }
+          #search-box { padding: 8px; border-radius: 4px; border: 1px solid #ccc; flex-grow: 1; }
+          #login-form { text-align: center; padding: 2rem; }
+          #login-form input { padding: 10px; width: 200px; margin-right: 10px; border: 1px solid #ccc; border-radius: 4px; }
+          #login-error { color: red; margin-top: 10px; }
+          .mobile-actions { display: none; background: none; border: none; font-size: 18px; cursor: pointer; padding: 0 10px; }
+          .actions-menu { position: absolute; right: 10px; background: white; border-radius: 4px; box-shadow: 0 2px 10px rgba(0,0,0,0.2); z-index: 100; display: none; flex-direction: column; min-width: 120px; }
+          .actions-menu button { width: 100%; text-align: left; border-radius: 0; background: none; color: #333; border-bottom: 1px solid #eee; }
+          .actions-menu button:last-child { border-bottom: none; }
+          .actions-menu button:hover { background-color: #f8f9fa; }
+          #user-info { margin-left: auto; color: #6c757d; }
+          #logout-btn { background-color: #6c757d; margin-left: auto; }
+          #user-info + #logout-btn { margin-left: 0; }
+          #logout-btn:hover { background-color: #5a6268; }
+          #load-more { text-align: center; margin-top: 1rem; }
+          .drop-target { background-color: #e7f1ff !important; outline: 2px dashed #007bff; }
+          .modal { display: none; position: fixed; z-index: 1500; left: 0; top: 0; width: 100%; height: 100%; background-color: rgba(0,0,0,0.5); justify-content: center; align-items: center; }
+          .modal.visible { display: flex; }
+          .modal-content { background: #fff; border-radius: 8px; padding: 1.5rem; width: 90%; max-width: 480px; max-height: 80vh; display: flex; flex-direction: column; }
+          .modal-content h3 { margin-top: 0; }
+          .modal-actions { display: flex; gap: 10px; justify-content: flex-end; margin-top: 1rem; }
+          .btn-secondary { background-color: #6c757d; } .btn-secondary:hover { background-color: #5a6268; }
+          #folder-picker-path { color: #6c757d; margin-bottom: 0.5rem; word-break: break-all; }
+          #folder-picker-list { list-style: none; padding: 0; margin: 0; overflow-y: auto; flex-grow: 1; border: 1px solid #eee; border-radius: 4px; min-height: 120px; }
+          #folder-picker-list li { padding: 8px 10px; border-bottom: 1px solid #eee; cursor: pointer; }
+          #folder-picker-list li:hover { background-color: #f8f9fa; }
+          #folder-picker-list li.empty { color: #6c757d; cursor: default; }
+          #share-form label { display: flex; justify-content: space-between; align-items: center; gap: 10px; margin-bottom: 10px; }
+          #share-form input, #share-form select { padding: 8px; border-radius: 4px; border: 1px solid #ccc; width: 60%; box-sizing: border-box; }
+          #share-result { display: flex; gap: 10px; margin-top: 1rem; }
+          #share-url { flex-grow: 1; padding: 8px; border-radius: 4px; border: 1px solid #ccc; }
+          #shares-list { list-style: none; padding: 0; margin: 0; overflow-y: auto; }
+          #shares-list li { padding: 10px 0; border-bottom: 1px solid #eee; display: flex; align-items: center; gap: 10px; }
+          #shares-list li .share-info { flex-grow: 1; word-break: break-all; }
+          #shares-list li .share-meta { color: #6c757d; font-size: 12px; }
+          #shares-list li button { padding: 5px 8px; font-size: 12px; }
+          #shares-list li.expired .share-info { color: #aaa; }
+          #trash-list { list-style: none; padding: 0; margin: 0; overflow-y: auto; }
+          #trash-list li { padding: 10px 0; border-bottom: 1px solid #eee; display: flex; align-items: center; gap: 10px; }
+          #trash-list li .trash-info { flex-grow: 1; word-break: break-all; }
+          #trash-list li .trash-meta { color: #6c757d; font-size: 12px; }
+          #trash-list li button { padding: 5px 8px; font-size: 12px; }
+          #search-modal .modal-content { max-width: 640px; }
+          #search-form label { display: flex; justify-content: space-between; align-items: center; gap: 10px; margin-bottom: 10px; }
+          #search-form input[type="text"], #search-form select, .search-range input { padding: 8px; border-radius: 4px; border: 1px solid #ccc; box-sizing: border-box; }
+          #search-form label > input[type="text"], .search-range { width: 70%; }
+          .search-range { display: flex; align-items: center; gap: 6px; }
+          .search-range input { flex: 1; min-width: 0; }
+          .search-row { display: flex; align-items: center; gap: 10px; margin-bottom: 10px; }
+          .search-row #search-query { flex-grow: 1; }
+          #search-form .search-scope { justify-content: flex-start; flex-grow: 1; margin-bottom: 0; cursor: pointer; }
+          #search-status { color: #6c757d; font-size: 14px; margin-bottom: 0.5rem; }
+          #search-results { list-style: none; padding: 0; margin: 0; overflow-y: auto; }
+          #search-results li { padding: 10px 0; border-bottom: 1px solid #eee; display: flex; align-items: center; gap: 10px; }
+          #search-results li .search-info { flex-grow: 1; word-break: break-all; }
+          #search-results li .search-path.clickable { cursor: pointer; }
+          #search-results li .search-path.clickable:hover { text-decoration: underline; }
+          #search-results li .search-meta { color: #6c757d; font-size: 12px; }
+          #search-results li button { padding: 5px 8px; font-size: 12px; flex-shrink: 0; }
+          #stats-modal .modal-content { max-width: 640px; }
+          #stats-body { overflow-y: auto; }
+          #stats-body h4 { margin: 1rem 0 0.5rem; }
+          .stats-summary { display: flex; align-items: center; gap: 10px; flex-wrap: wrap; }
+          .stats-total { font-size: 18px; font-weight: bold; }
+          .stats-updated { color: #6c757d; font-size: 12px; flex-grow: 1; }
+          .stats-summary button { padding: 5px 8px; font-size: 12px; }
+          .stats-bars, .stats-largest { list-style: none; padding: 0; margin: 0; }
+          .stats-bars li, .stats-largest li { display: flex; align-items: center; gap: 10px; padding: 6px 0; border-bottom: 1px solid #eee; font-size: 14px; }
+          .stats-label { flex-grow: 1; min-width: 0; word-break: break-all; }
+          .stats-bars .stats-label { flex: 0 0 35%; }
+          .stats-label.clickable { cursor: pointer; color: #007bff; }
+          .stats-label.clickable:hover { text-decoration: underline; }
+          .stats-bar { flex-grow: 1; height: 8px; background-color: #e9ecef; border-radius: 4px; overflow: hidden; }
+          .stats-bar span { display: block; height: 100%; background-color: #007bff; }
+          .stats-value { color: #6c757d; font-size: 12px; white-space: nowrap; }
+          #versions-list { list-style: none; padding: 0; margin: 0; overflow-y: auto; }
+          #versions-list li { padding: 10px 0; border-bottom: 1px solid #eee; display: flex; align-items: center; gap: 10px; }
+          #versions-list li .version-info { flex-grow: 1; word-break: break-all; }
+          #versions-list li .version-meta { color: #6c757d; font-size: 12px; }
+          #versions-list li button { padding: 5px 8px; font-size: 12px; }
+          #upload-panel { position: fixed; left: 20px; bottom: 20px; width: 420px; max-width: calc(100% - 40px); max-height: 50vh; background: #fff; border-radius: 8px; box-shadow: 0 2px 12px rgba(0,0,0,0.25); z-index: 1000; display: none; flex-direction: column; }
+          #upload-panel.visible { display: flex; }
+          #upload-panel.collapsed #upload-list { display: none; }
+          .upload-panel-header { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; padding: 10px; border-bottom: 1px solid #eee; font-size: 14px; }
+          .upload-panel-header button { padding: 4px 8px; font-size: 12px; }
+          #upload-speed { color: #6c757d; flex-grow: 1; }
+          #upload-list { list-style: none; margin: 0; padding: 0 10px; overflow-y: auto; }
+          #upload-list li { display: grid; grid-template-columns: 1fr auto; gap: 4px 8px; padding: 8px 0; border-bottom: 1px solid #eee; font-size: 13px; }
+          #upload-list .upload-name { word-break: break-all; }
+          #upload-list .upload-status { color: #6c757d; grid-column: 1; }
+          #upload-list .upload-status.error { color: #dc3545; }
+          #upload-list button { grid-row: 1 / span 3; grid-column: 2; align-self: center; padding: 4px 8px; font-size: 12px; }
+          .upload-progress { grid-column: 1; height: 6px; background: #e9ecef; border-radius: 3px; overflow: hidden; }
+          .upload-progress-bar { height: 100%; width: 0; background: #007bff; transition: width 0.2s; }
+          .upload-progress-bar.done { background: #28a745; }
+          .upload-progress-bar.error { background: #dc3545; }
+          #toast-container { position: fixed; right: 20px; bottom: 20px; z-index: 2000; display: flex; flex-direction: column; gap: 8px; max-width: 360px; }
+          .toast { padding: 10px 15px; border-radius: 4px; color: #fff; background-color: #343a40; box-shadow: 0 2px 10px rgba(0,0,0,0.2); word-break: break-all; }
+          .toast-error { background-color: #dc3545; }
+  
+          /* --- UI 切换修复 --- */
+          .mobile-actions-grid,
+          .mobile-search-sort-grid,
           #logout-btn-mobile {
               display: none;
           }
@@ -201,6 +3929,7 @@ export default {
               #file-list li .size { width: 60px; font-size: 12px; }
               #file-list li .actions { display: none; }
               .mobile-actions { display: block; color: #000; }
+              #file-list.grid { grid-template-columns: repeat(auto-fill, minmax(110px, 1fr)); }
               
               /* 隐藏桌面端操作栏 */
               .actions-bar {
@@ -239,7 +3968,8 @@ export default {
   
           <div id="login-view">
               <form id="login-form" onsubmit="handleLogin(event)">
-                  <p>请输入访问密码</p>
+                  <p>${multiUser ? '请输入用户名和密码' : '请输入访问密码'}</p>
+                  ${multiUser ? '<input type="text" id="username-input" placeholder="用户名" autocomplete="username" required>' : ''}
                   <input type="password" id="password-input" placeholder="密码" required>
                   <button type="submit">登录</button>
                   <p id="login-error" style="display: none;"></p>
@@ -248,13 +3978,17 @@ export default {
   
           <div id="drive-view" style="display: none;">
               <div id="breadcrumb"></div>
+              <div id="quota-info" style="display: none;"></div>
               
               <!-- 桌面端操作栏 -->
               <div class="actions-bar">
-                  <button onclick="document.getElementById('file-upload').click()">上传文件</button>
+                  <button class="requires-write" onclick="document.getElementById('file-upload').click()">上传文件</button>
                   <input type="file" id="file-upload" onchange="handleFiles(this.files)" multiple>
-                  <button onclick="createFolder()">新建文件夹</button>
+                  <button class="requires-write" onclick="document.getElementById('folder-upload').click()">上传文件夹</button>
+                  <input type="file" id="folder-upload" style="display:none;" onchange="handleFiles(this.files)" webkitdirectory>
+                  <button class="requires-write" onclick="createFolder()">新建文件夹</button>
                   <input type="text" id="search-box" placeholder="搜索文件..." oninput="handleSearch(this.value)">
+                  <button onclick="openSearchView()">全盘搜索</button>
                   <div class="sort-container">
                       <select id="sort-select" class="sort-select" onchange="handleSort(event)">
                           <option value="name-asc">名称 (A-Z)</option>
@@ -265,14 +3999,26 @@ export default {
                           <option value="date-desc">日期 (新到旧)</option>
                       </select>
                   </div>
+                  <button class="view-toggle" onclick="toggleViewMode()">网格视图</button>
+                  <button onclick="openSharesView()">分享管理</button>
+                  <button onclick="openStatsView()">存储用量</button>
+                  ${trashEnabled ? '<button onclick="openTrashView()">回收站</button>' : ''}
+                  <span id="user-info" style="display: none;"></span>
                   <button id="logout-btn" onclick="handleLogout()">退出登录</button>
               </div>
   
               <!-- 移动端操作栏 -->
               <div class="mobile-actions-grid">
-                  <button onclick="document.getElementById('file-upload-mobile').click()">上传文件</button>
+                  <button class="requires-write" onclick="document.getElementById('file-upload-mobile').click()">上传文件</button>
                   <input type="file" id="file-upload-mobile" style="display:none;" onchange="handleFiles(this.files)" multiple>
-                  <button onclick="createFolder()">新建文件夹</button>
+                  <button class="requires-write" onclick="document.getElementById('folder-upload-mobile').click()">上传文件夹</button>
+                  <input type="file" id="folder-upload-mobile" style="display:none;" onchange="handleFiles(this.files)" webkitdirectory>
+                  <button class="requires-write" onclick="createFolder()">新建文件夹</button>
+                  <button class="view-toggle" onclick="toggleViewMode()">网格视图</button>
+                  <button onclick="openSearchView()">全盘搜索</button>
+                  <button onclick="openSharesView()">分享管理</button>
+                  <button onclick="openStatsView()">存储用量</button>
+                  ${trashEnabled ? '<button onclick="openTrashView()">回收站</button>' : ''}
               </div>
               <div class="mobile-search-sort-grid">
                   <input type="text" id="search-box-mobile" placeholder="搜索文件..." oninput="handleSearch(this.value)">
@@ -289,425 +4035,3088 @@ export default {
               </div>
               <button id="logout-btn-mobile" onclick="handleLogout()">退出登录</button>
               
+              <div id="bulk-bar">
+                  <label><input type="checkbox" id="select-all" onchange="toggleSelectAll(this.checked)"> 全选</label>
+                  <span id="selection-count"></span>
+                  <div id="bulk-actions">
+                      <button onclick="downloadSelected()">打包下载</button>
+                      <button class="btn-delete" onclick="deleteSelected()">删除</button>
+                      <button class="btn-secondary" onclick="clearSelection()">取消选择</button>
+                  </div>
+              </div>
               <ul id="file-list"></ul>
+              <div id="load-more" style="display: none;">
+                  <button id="load-more-btn" onclick="loadMoreFiles()">加载更多</button>
+              </div>
           </div>
       </div>
   
-      <div id="preview-modal" onclick="closePreview()">
-          <span class="close">&times;</span>
-          <img id="preview-image" src="">
+      <div id="preview-modal">
+          <div id="preview-header">
+              <span id="preview-title"></span>
+              <span id="preview-position"></span>
+              <button id="preview-prev" onclick="showPreviewAt(-1)" title="上一个">&lsaquo;</button>
+              <button id="preview-next" onclick="showPreviewAt(1)" title="下一个">&rsaquo;</button>
+              <button id="preview-download">下载</button>
+              <span class="close" onclick="closePreview()">&times;</span>
+          </div>
+          <div id="preview-body"></div>
       </div>
   
+      <div id="folder-picker" class="modal">
+          <div class="modal-content">
+              <h3 id="folder-picker-title"></h3>
+              <div id="folder-picker-path"></div>
+              <ul id="folder-picker-list"></ul>
+              <div class="modal-actions">
+                  <button id="folder-picker-up">上一级</button>
+                  <button id="folder-picker-cancel" class="btn-secondary">取消</button>
+                  <button id="folder-picker-confirm">选择此文件夹</button>
+              </div>
+          </div>
+      </div>
+      <div id="share-modal" class="modal">
+          <div class="modal-content">
+              <h3>分享 <span id="share-target"></span></h3>
+              <form id="share-form" onsubmit="createShare(event)">
+                  <label>有效期
+                      <select id="share-expiry">
+                          <option value="1">1 天</option>
+                          <option value="7" selected>7 天</option>
+                          <option value="30">30 天</option>
+                          <option value="0">永久有效</option>
+                      </select>
+                  </label>
+                  <label>访问密码 <input type="text" id="share-password" placeholder="可选"></label>
+                  <label title="每次请求都计为一次下载，断点续传也会计数">最大下载次数 <input type="number" id="share-max-downloads" min="1" placeholder="不限"></label>
+                  <div class="modal-actions">
+                      <button type="button" class="btn-secondary" onclick="closeModal('share-modal')">关闭</button>
+                      <button type="submit">创建分享链接</button>
+                  </div>
+              </form>
+              <div id="share-result" style="display: none;">
+                  <input type="text" id="share-url" readonly>
+                  <button class="btn-copy" onclick="copyLink(this, document.getElementById('share-url').value)">复制</button>
+              </div>
+          </div>
+      </div>
+      <div id="shares-modal" class="modal">
+          <div class="modal-content">
+              <h3>分享管理</h3>
+              <ul id="shares-list"></ul>
+              <div class="modal-actions">
+                  <button class="btn-secondary" onclick="closeModal('shares-modal')">关闭</button>
+              </div>
+          </div>
+      </div>
+      <div id="trash-modal" class="modal">
+          <div class="modal-content">
+              <h3>回收站</h3>
+              <ul id="trash-list"></ul>
+              <div class="modal-actions">
+                  <button class="btn-delete" onclick="emptyTrash()">清空回收站</button>
+                  <button class="btn-secondary" onclick="closeModal('trash-modal')">关闭</button>
+              </div>
+          </div>
+      </div>
+      <div id="search-modal" class="modal">
+          <div class="modal-content">
+              <h3>全盘搜索</h3>
+              <form id="search-form" onsubmit="startSearch(event)">
+                  <div class="search-row">
+                      <input type="text" id="search-query" placeholder="文件名关键词，包含 / 时匹配完整路径">
+                      <select id="search-mode">
+                          <option value="substring">包含</option>
+                          <option value="glob">通配符</option>
+                          <option value="regex">正则表达式</option>
+                      </select>
+                  </div>
+                  <label>扩展名 <input type="text" id="search-ext" placeholder="例如 jpg,png"></label>
+                  <label>大小 (MB)
+                      <span class="search-range">
+                          <input type="number" id="search-min-size" min="0" step="any" placeholder="最小"> -
+                          <input type="number" id="search-max-size" min="0" step="any" placeholder="最大">
+                      </span>
+                  </label>
+                  <label>上传日期
+                      <span class="search-range">
+                          <input type="date" id="search-after"> -
+                          <input type="date" id="search-before">
+                      </span>
+                  </label>
+                  <div class="search-row">
+                      <label class="search-scope"><input type="checkbox" id="search-current-folder"> 只搜索当前文件夹</label>
+                      <button type="submit">搜索</button>
+                  </div>
+              </form>
+              <div id="search-status"></div>
+              <ul id="search-results"></ul>
+              <div class="modal-actions">
+                  <button id="search-more" style="display: none;" onclick="loadSearchResults()">继续搜索</button>
+                  <button class="btn-secondary" onclick="closeSearchView()">关闭</button>
+              </div>
+          </div>
+      </div>
+      <div id="stats-modal" class="modal">
+          <div class="modal-content">
+              <h3 id="stats-title">存储用量</h3>
+              <div id="stats-body"></div>
+              <div class="modal-actions">
+                  <button onclick="loadStats(statsPath, true)">重新统计</button>
+                  <button class="btn-secondary" onclick="closeModal('stats-modal')">关闭</button>
+              </div>
+          </div>
+      </div>
+      <div id="versions-modal" class="modal">
+          <div class="modal-content">
+              <h3 id="versions-title">历史版本</h3>
+              <ul id="versions-list"></ul>
+              <div class="modal-actions">
+                  <button class="btn-secondary" onclick="closeModal('versions-modal')">关闭</button>
+              </div>
+          </div>
+      </div>
       <div id="drag-overlay">拖拽到此处以上传</div>
+      <div id="conflict-modal" class="modal">
+          <div class="modal-content">
+              <h3>文件已存在</h3>
+              <p id="conflict-message"></p>
+              <label><input type="checkbox" id="conflict-apply-all"> 对之后的冲突执行相同操作</label>
+              <div class="modal-actions">
+                  <button class="btn-secondary" onclick="resolveConflict('skip')">跳过</button>
+                  <button class="btn-secondary" onclick="resolveConflict('rename')">保留两者</button>
+                  <button class="btn-delete" onclick="resolveConflict('overwrite')">覆盖</button>
+              </div>
+          </div>
+      </div>
+
+      <div id="upload-panel">
+          <div class="upload-panel-header">
+              <strong id="upload-summary"></strong>
+              <span id="upload-speed"></span>
+              <label>并发
+                  <select id="upload-concurrency" onchange="setUploadConcurrency(this.value)">
+                      <option value="1">1</option>
+                      <option value="2">2</option>
+                      <option value="3">3</option>
+                      <option value="4">4</option>
+                      <option value="6">6</option>
+                  </select>
+              </label>
+              <button id="upload-retry-all" class="btn-secondary" onclick="retryFailedUploads()">重试失败</button>
+              <button class="btn-secondary" onclick="clearFinishedUploads()">清除已完成</button>
+              <button id="upload-toggle" class="btn-secondary" onclick="toggleUploadPanel()">收起</button>
+          </div>
+          <ul id="upload-list"></ul>
+      </div>
+      <div id="toast-container"></div>
   
       <script>
           const PASSWORD_ENABLED = ${passwordEnabled};
+          const MULTI_USER = ${multiUser};
+          const VERSIONING_ENABLED = ${versioningEnabled};
+          const TRASH_ENABLED = ${trashEnabled};
+          // 各角色允许的操作，与服务端保持一致
+          const ROLE_ACTIONS = ${JSON.stringify(ROLE_ACTIONS)};
+          // 当前用户在当前目录下的角色
+          let currentAccess = 'full';
+          // 当前目录适用的存储配额，未启用配额时为 null
+          let currentQuota = null;
+          // 剩余空间低于配额的该比例时以醒目的颜色显示
+          const QUOTA_WARNING_RATIO = 0.1;
           let currentPath = '';
           let allFiles = [];
           let currentSort = 'name-asc';
+          // 在列表内拖动条目时使用的 dataTransfer 类型
+          const DRAG_PATH_TYPE = 'application/x-drive-path';
+          const LIST_PAGE_SIZE = 200;
+          // 下一页的游标，为 null 表示已加载完毕
+          let listCursor = null;
+          let listLoading = false;
+          // 每次切换目录递增，用于丢弃过期的分页响应
+          let listRequestId = 0;
+          // 已选中条目的路径，切换目录时清空
+          const selectedPaths = new Set();
+          // 批量删除每次请求的路径数，与服务端启用回收站时的上限一致
+          const BATCH_DELETE_SIZE = 100;
+          // 当前显示顺序下的条目，用于 Shift 连续选择
+          let renderedItems = [];
+          let lastSelectedPath = null;
+          // 文件列表的显示方式，list 或 grid，保存在 localStorage 中
+          const VIEW_MODE_KEY = 'drive-view-mode';
+          let viewMode = localStorage.getItem(VIEW_MODE_KEY) === 'grid' ? 'grid' : 'list';
+          // 全盘搜索的条件和进度，searchRequestId 用于丢弃过期的响应
+          let searchParams = null;
+          let searchCursor = null;
+          let searchScanned = 0;
+          let searchFound = 0;
+          let searchRequestId = 0;
+          // 点击一次最多连续请求的页数，服务端每页最多扫描 5000 个对象
+          const SEARCH_AUTO_PAGES = 5;
+          // 存储用量面板当前显示的文件夹
+          let statsPath = '';
+          let statsRequestId = 0;
+          const STATS_TYPE_COUNT = 10;
+          // 超过该大小的文件使用分片上传
+          const MULTIPART_THRESHOLD = 50 * 1024 * 1024;
+          const MULTIPART_CONCURRENCY = 3;
+          const PART_RETRIES = 3;
+          // 同时上传的文件数，可在上传面板中修改并保存在 localStorage 中
+          const UPLOAD_CONCURRENCY_KEY = 'drive-upload-concurrency';
+          let uploadConcurrency = Number(localStorage.getItem(UPLOAD_CONCURRENCY_KEY)) || 3;
+          // 上传面板中的所有任务，status 为 pending / uploading / done / error / cancelled
+          const uploadTasks = [];
+          let uploadTaskId = 0;
+          let activeUploads = 0;
+          // 累计上传的字节数及其采样，用于计算速度和剩余时间
+          let uploadedBytes = 0;
+          let uploadSamples = [];
+          let uploadTimer = null;
+          // 上传冲突对话框一次只显示一个，其余冲突排队等待
+          let conflictQueue = Promise.resolve();
+          let conflictResolver = null;
+          // 不超过该大小的文件一次读入内存用 crypto.subtle 计算 SHA-256，更大的文件分块计算
+          const SHA256_SUBTLE_LIMIT = 64 * 1024 * 1024;
+          const HASH_CHUNK_SIZE = 4 * 1024 * 1024;
+  
+          /**
+           * 封装 fetch API，用于处理认证和错误
+           * @param {string} path API 路径
+           * @param {RequestInit} options fetch 选项
+           */
+          async function fetchApi(path, options = {}) {
+              // 登录状态保存在 HttpOnly 会话 Cookie 中，同源请求会自动携带
+              const response = await fetch(path, options);
+          
+              if (response.status === 401) {
+                  showLoginView('登录已失效，请重新登录。');
+                  const error = new Error('Unauthorized');
+                  error.status = 401;
+                  throw error;
+              }
+          
+              if (!response.ok) {
+                  const errorText = await response.text();
+                  const error = new Error(\`API Error \${response.status} - \${errorText}\`);
+                  error.status = response.status;
+                  error.body = errorText;
+                  error.etag = response.headers.get('ETag');
+                  throw error;
+              }
+              return response;
+          }
+  
+          // 登录等待倒计时的定时器
+          let loginRetryTimer = null;
+
+          /**
+           * 显示登录界面
+           * @param {string} errorMessage 错误信息
+           * @param {number} retryAfter 需要等待的秒数，期间禁用登录按钮并显示倒计时
+           */
+          function showLoginView(errorMessage = '', retryAfter = 0) {
+              document.getElementById('drive-view').style.display = 'none';
+              document.getElementById('login-view').style.display = 'block';
+              const errorEl = document.getElementById('login-error');
+              const submitBtn = document.querySelector('#login-form button[type="submit"]');
+              clearInterval(loginRetryTimer);
+              submitBtn.disabled = false;
+              if (errorMessage) {
+                  errorEl.textContent = errorMessage;
+                  errorEl.style.display = 'block';
+              } else {
+                  errorEl.style.display = 'none';
+              }
+              if (retryAfter > 0) {
+                  const retryAt = Date.now() + retryAfter * 1000;
+                  const updateCountdown = () => {
+                      const seconds = Math.ceil((retryAt - Date.now()) / 1000);
+                      if (seconds <= 0) {
+                          clearInterval(loginRetryTimer);
+                          submitBtn.disabled = false;
+                          errorEl.textContent = errorMessage + ' 现在可以重试。';
+                          return;
+                      }
+                      submitBtn.disabled = true;
+                      errorEl.textContent = \`\${errorMessage} 请在 \${formatWaitTime(seconds)}后重试。\`;
+                  };
+                  errorEl.style.display = 'block';
+                  updateCountdown();
+                  loginRetryTimer = setInterval(updateCountdown, 1000);
+              }
+          }
+
+          /**
+           * 格式化等待时间
+           * @param {number} seconds 
+           * @returns {string}
+           */
+          function formatWaitTime(seconds) {
+              if (seconds < 60) return seconds + ' 秒';
+              return Math.floor(seconds / 60) + ' 分 ' + (seconds % 60) + ' 秒';
+          }
+  
+          /**
+           * 显示网盘界面
+           */
+          function showDriveView() {
+              document.getElementById('login-view').style.display = 'none';
+              document.getElementById('drive-view').style.display = 'block';
+          }
+  
+          /**
+           * 显示当前登录的用户名，仅在多用户模式下显示
+           * @param {string|null} username 
+           */
+          function setCurrentUser(username) {
+              const userInfo = document.getElementById('user-info');
+              userInfo.textContent = username ? '当前用户: ' + username : '';
+              userInfo.style.display = MULTI_USER && username ? 'inline' : 'none';
+          }
+
+          /**
+           * 判断角色是否允许某个操作
+           * @param {string} access 角色
+           * @param {string} action 操作
+           * @returns {boolean}
+           */
+          function canDo(access, action) {
+              return (ROLE_ACTIONS[access] || []).includes(action);
+          }
+
+          /**
+           * 根据当前目录的权限显示或隐藏上传、新建文件夹按钮
+           */
+          function updateActionButtons() {
+              const canWrite = canDo(currentAccess, 'write');
+              document.querySelectorAll('.requires-write').forEach(button => {
+                  button.style.display = canWrite ? '' : 'none';
+              });
+          }
+
+          /**
+           * 处理登录表单提交
+           * @param {Event} event 
+           */
+          async function handleLogin(event) {
+              event.preventDefault();
+              const usernameInput = document.getElementById('username-input');
+              const passwordInput = document.getElementById('password-input');
+              try {
+                  const response = await fetch('/api/login', {
+                      method: 'POST',
+                      headers: { 'Content-Type': 'application/json' },
+                      body: JSON.stringify({ username: usernameInput ? usernameInput.value : '', password: passwordInput.value })
+                  });
+                  if (!response.ok) {
+                      // 多次失败后服务端会要求等待，等待时间由 Retry-After 给出
+                      const retryAfter = Number(response.headers.get('Retry-After')) || 0;
+                      const wrongMessage = MULTI_USER ? '用户名或密码错误。' : '密码错误。';
+                      if (response.status === 429) {
+                          showLoginView('尝试次数过多。', retryAfter);
+                      } else if (response.status === 401) {
+                          showLoginView(retryAfter ? wrongMessage : wrongMessage + '请重试。', retryAfter);
+                      } else {
+                          showLoginView('登录失败: ' + await response.text());
+                      }
+                      return;
+                  }
+                  const { username } = await response.json();
+                  passwordInput.value = '';
+                  setCurrentUser(username);
+                  await fetchFiles('');
+                  showDriveView();
+              } catch (e) {
+                  if (e.message !== 'Unauthorized') {
+                      // 使用自定义模态框或消息提示，而不是 alert
+                      console.error('发生未知错误', e);
+                      showErrorMessage('发生未知错误: ' + e.message);
+                  }
+              }
+          }
+          
+          /**
+           * 处理登出操作
+           */
+          async function handleLogout() {
+              try {
+                  await fetch('/api/logout', { method: 'POST' });
+              } catch (e) {
+                  console.error('退出登录失败', e);
+              }
+              showLoginView('您已成功退出。');
+          }
+  
+          /**
+           * 从 API 获取文件列表
+           * @param {string} path 
+           */
+          async function fetchFiles(path) {
+              currentPath = path;
+              listCursor = null;
+              const requestId = ++listRequestId;
+              try {
+                  const page = await fetchListPage(path, null);
+                  if (requestId !== listRequestId) return;
+                  allFiles = page.items;
+                  listCursor = page.truncated ? page.cursor : null;
+                  selectedPaths.clear();
+                  lastSelectedPath = null;
+                  currentAccess = page.access || 'full';
+                  currentQuota = page.quota || null;
+                  updateActionButtons();
+                  renderQuota();
+                  renderCurrentFiles();
+                  renderBreadcrumb();
+              } catch (e) {
+                  if (e.message !== 'Unauthorized') {
+                      // 使用自定义模态框或消息提示，而不是 alert
+                      console.error('加载文件列表失败', e);
+                      showErrorMessage('加载文件列表失败: ' + e.message);
+                  }
+                  throw e;
+              }
+          }
   
           /**
-           * 封装 fetch API，用于处理认证和错误
-           * @param {string} path API 路径
-           * @param {RequestInit} options fetch 选项
+           * 请求一页文件列表
+           * @param {string} path 目录路径
+           * @param {string|null} cursor 分页游标
+           * @returns {Promise<{items: Array<Object>, cursor: string|null, truncated: boolean, access: string}>}
+           */
+          async function fetchListPage(path, cursor) {
+              let url = \`/api/list?path=\${encodeURIComponent(path)}&limit=\${LIST_PAGE_SIZE}\`;
+              if (cursor) url += \`&cursor=\${encodeURIComponent(cursor)}\`;
+              const response = await fetchApi(url);
+              return response.json();
+          }
+
+          /**
+           * 加载当前目录的下一页
+           */
+          async function loadMoreFiles() {
+              if (!listCursor || listLoading) return;
+              const requestId = listRequestId;
+              listLoading = true;
+              updateLoadMore();
+              try {
+                  const page = await fetchListPage(currentPath, listCursor);
+                  if (requestId !== listRequestId) return;
+                  allFiles = allFiles.concat(page.items);
+                  listCursor = page.truncated ? page.cursor : null;
+                  renderCurrentFiles();
+              } catch (e) {
+                  if (e.message !== 'Unauthorized') {
+                      console.error('加载更多文件失败', e);
+                      showErrorMessage('加载更多文件失败: ' + e.message);
+                  }
+              } finally {
+                  listLoading = false;
+                  updateLoadMore();
+              }
+          }
+
+          /**
+           * 根据分页状态更新“加载更多”按钮
+           */
+          function updateLoadMore() {
+              document.getElementById('load-more').style.display = listCursor ? 'block' : 'none';
+              const button = document.getElementById('load-more-btn');
+              button.disabled = listLoading;
+              button.textContent = listLoading ? '加载中...' : '加载更多';
+          }
+
+          /**
+           * 按当前搜索关键词渲染已加载的文件
+           */
+          function renderCurrentFiles() {
+              const currentQuery = document.getElementById('search-box').value;
+              const itemsToRender = currentQuery ? allFiles.filter(item => item.name.toLowerCase().includes(currentQuery.toLowerCase())) : allFiles;
+              renderFiles(itemsToRender);
+              updateLoadMore();
+          }
+
+          /**
+           * 处理搜索
+           * @param {string} query 搜索关键词
+           */
+          function handleSearch(query) {
+              document.getElementById('search-box').value = query;
+              document.getElementById('search-box-mobile').value = query;
+              const filteredItems = allFiles.filter(item => item.name.toLowerCase().includes(query.toLowerCase()));
+              renderFiles(filteredItems);
+          }
+
+          /**
+           * 打开全盘搜索，用当前文件夹的搜索关键词作为初始值
+           */
+          function openSearchView() {
+              document.getElementById('search-modal').classList.add('visible');
+              const queryInput = document.getElementById('search-query');
+              if (!queryInput.value) queryInput.value = document.getElementById('search-box').value;
+              queryInput.focus();
+          }
+
+          /**
+           * 关闭全盘搜索，并丢弃还在进行中的请求
+           */
+          function closeSearchView() {
+              searchRequestId++;
+              closeModal('search-modal');
+          }
+
+          /**
+           * 按表单中的条件开始新的搜索
+           * @param {Event} event
+           */
+          function startSearch(event) {
+              event.preventDefault();
+              const params = new URLSearchParams();
+              const query = document.getElementById('search-query').value.trim();
+              if (query) params.set('q', query);
+              const ext = document.getElementById('search-ext').value.trim();
+              if (ext) params.set('ext', ext);
+              const minSize = document.getElementById('search-min-size').value;
+              if (minSize) params.set('minSize', String(Math.round(Number(minSize) * 1024 * 1024)));
+              const maxSize = document.getElementById('search-max-size').value;
+              if (maxSize) params.set('maxSize', String(Math.round(Number(maxSize) * 1024 * 1024)));
+              // 日期按本地时间计算，结束日期当天也包含在内
+              const after = document.getElementById('search-after').value;
+              if (after) params.set('after', new Date(after + 'T00:00:00').toISOString());
+              const before = document.getElementById('search-before').value;
+              if (before) {
+                  const end = new Date(before + 'T00:00:00');
+                  end.setDate(end.getDate() + 1);
+                  params.set('before', end.toISOString());
+              }
+              if ([...params.keys()].length === 0) {
+                  showErrorMessage('请输入关键词或筛选条件');
+                  return;
+              }
+              params.set('mode', document.getElementById('search-mode').value);
+              if (document.getElementById('search-current-folder').checked && currentPath) {
+                  params.set('path', currentPath);
+              }
+
+              searchRequestId++;
+              searchParams = params;
+              searchCursor = null;
+              searchScanned = 0;
+              searchFound = 0;
+              document.getElementById('search-results').innerHTML = '';
+              loadSearchResults();
+          }
+
+          /**
+           * 请求下一页搜索结果。一页没有命中时自动继续，直到找到结果、搜索完毕或达到 SEARCH_AUTO_PAGES
+           */
+          async function loadSearchResults() {
+              const requestId = searchRequestId;
+              const status = document.getElementById('search-status');
+              const moreButton = document.getElementById('search-more');
+              moreButton.style.display = 'none';
+              status.textContent = '搜索中...';
+              try {
+                  for (let page = 0; page < SEARCH_AUTO_PAGES; page++) {
+                      const params = new URLSearchParams(searchParams);
+                      if (searchCursor) params.set('cursor', searchCursor);
+                      const response = await fetchApi('/api/search?' + params.toString());
+                      const data = await response.json();
+                      if (requestId !== searchRequestId) return;
+                      searchCursor = data.cursor;
+                      searchScanned += data.scanned;
+                      appendSearchResults(data.items);
+                      if (!searchCursor || data.items.length > 0) break;
+                  }
+              } catch (e) {
+                  if (requestId !== searchRequestId) return;
+                  status.textContent = '';
+                  if (e.message !== 'Unauthorized') {
+                      console.error('搜索失败', e);
+                      showErrorMessage('搜索失败: ' + e.message);
+                  }
+                  return;
+              }
+              status.textContent = searchCursor
+                  ? \`已扫描 \${searchScanned} 个文件，找到 \${searchFound} 个结果\`
+                  : \`搜索完成，共扫描 \${searchScanned} 个文件，找到 \${searchFound} 个结果\`;
+              moreButton.style.display = searchCursor ? '' : 'none';
+          }
+
+          /**
+           * 把搜索结果追加到列表中，显示完整路径
+           * @param {Array<Object>} items
+           */
+          function appendSearchResults(items) {
+              const list = document.getElementById('search-results');
+              items.forEach(item => {
+                  const li = document.createElement('li');
+                  li.innerHTML = \`
+                      <div class="search-info">
+                          <div class="search-path"></div>
+                          <div class="search-meta"></div>
+                      </div>
+                      <button>打开所在文件夹</button>
+                  \`;
+                  const pathDiv = li.querySelector('.search-path');
+                  pathDiv.textContent = '📄 ' + item.path;
+                  pathDiv.title = describeFile(item);
+                  if (canDo(item.access || 'full', 'read')) {
+                      pathDiv.classList.add('clickable');
+                      pathDiv.onclick = () => window.open(buildDownloadUrl(item.path, true), '_blank');
+                  }
+                  li.querySelector('.search-meta').textContent = formatSize(item.size) + ' · ' + new Date(item.uploaded).toLocaleString();
+                  li.querySelector('button').onclick = () => {
+                      closeSearchView();
+                      revealFile(item.path);
+                  };
+                  list.appendChild(li);
+              });
+              searchFound += items.length;
+          }
+
+          /**
+           * 进入文件所在的文件夹，并选中该文件
+           * @param {string} path
+           */
+          async function revealFile(path) {
+              // 清空当前文件夹的筛选，以免目标文件被过滤掉
+              document.getElementById('search-box').value = '';
+              document.getElementById('search-box-mobile').value = '';
+              try {
+                  await fetchFiles(path.substring(0, path.lastIndexOf('/') + 1));
+              } catch (e) {
+                  return;
+              }
+              // 文件可能在后面的分页中，此时只进入文件夹
+              const index = renderedItems.findIndex(item => item.path === path);
+              if (index === -1) return;
+              handleSelect(path, true, false);
+              const li = document.querySelectorAll('#file-list li')[index];
+              if (li) li.scrollIntoView({ block: 'center' });
+          }
+
+          /**
+           * 打开存储用量面板，显示当前文件夹的统计
+           */
+          function openStatsView() {
+              document.getElementById('stats-modal').classList.add('visible');
+              loadStats(currentPath);
+          }
+
+          /**
+           * 加载并显示文件夹的用量统计
+           * @param {string} path 文件夹路径
+           * @param {boolean} refresh 是否重新扫描该文件夹
+           */
+          async function loadStats(path, refresh = false) {
+              const requestId = ++statsRequestId;
+              statsPath = path;
+              const body = document.getElementById('stats-body');
+              body.innerHTML = refresh ? '<p>正在重新统计...</p>' : '<p>加载中...</p>';
+              try {
+                  const query = '?path=' + encodeURIComponent(path);
+                  const response = refresh
+                      ? await fetchApi('/api/stats/refresh' + query, { method: 'POST' })
+                      : await fetchApi('/api/stats' + query);
+                  const stats = await response.json();
+                  if (requestId !== statsRequestId) return;
+                  renderStats(stats);
+              } catch (e) {
+                  if (requestId !== statsRequestId) return;
+                  body.innerHTML = '';
+                  if (e.message !== 'Unauthorized') {
+                      console.error('加载存储用量失败', e);
+                      showErrorMessage('加载存储用量失败: ' + e.message);
+                  }
+              }
+          }
+
+          /**
+           * 渲染用量统计：总量、子文件夹、文件类型和最大的文件
+           * @param {Object} stats
+           */
+          function renderStats(stats) {
+              document.getElementById('stats-title').textContent = '存储用量 - ' + (stats.path || '根目录');
+              const body = document.getElementById('stats-body');
+              body.innerHTML = \`
+                  <div class="stats-summary">
+                      <div class="stats-total"></div>
+                      <div class="stats-updated"></div>
+                  </div>
+                  <h4>子文件夹</h4>
+                  <ul class="stats-bars stats-folders"></ul>
+                  <h4>文件类型</h4>
+                  <ul class="stats-bars stats-types"></ul>
+                  <h4>最大的文件</h4>
+                  <ul class="stats-largest"></ul>
+              \`;
+              body.querySelector('.stats-total').textContent = \`\${stats.files} 个文件，共 \${formatSize(stats.bytes)}\`;
+              body.querySelector('.stats-updated').textContent = '统计于 ' + new Date(stats.updatedAt).toLocaleString();
+              if (stats.path) {
+                  const parentButton = document.createElement('button');
+                  parentButton.className = 'btn-secondary';
+                  parentButton.textContent = '上一级';
+                  parentButton.onclick = () => loadStats(stats.path.substring(0, stats.path.slice(0, -1).lastIndexOf('/') + 1));
+                  body.querySelector('.stats-summary').appendChild(parentButton);
+              }
+
+              renderUsageBars(body.querySelector('.stats-folders'), stats.bytes, stats.folders.map(folder => ({
+                  label: '📁 ' + folder.path.substring(stats.path.length),
+                  files: folder.files,
+                  bytes: folder.bytes,
+                  onclick: () => loadStats(folder.path),
+              })));
+
+              // 只单独列出占用最多的几种类型，其余合并显示
+              const types = stats.types.slice(0, STATS_TYPE_COUNT).map(type => ({
+                  label: type.extension ? '.' + type.extension : '无扩展名',
+                  files: type.files,
+                  bytes: type.bytes,
+              }));
+              const others = stats.types.slice(STATS_TYPE_COUNT);
+              if (others.length > 0) {
+                  types.push({
+                      label: '其他',
+                      files: others.reduce((sum, type) => sum + type.files, 0),
+                      bytes: others.reduce((sum, type) => sum + type.bytes, 0),
+                  });
+              }
+              renderUsageBars(body.querySelector('.stats-types'), stats.bytes, types);
+
+              const largestList = body.querySelector('.stats-largest');
+              if (stats.largest.length === 0) largestList.innerHTML = '<li>没有文件</li>';
+              stats.largest.forEach(file => {
+                  const li = document.createElement('li');
+                  li.innerHTML = '<span class="stats-label clickable"></span><span class="stats-value"></span>';
+                  const label = li.querySelector('.stats-label');
+                  label.textContent = file.path;
+                  label.title = '打开所在文件夹';
+                  label.onclick = () => {
+                      closeModal('stats-modal');
+                      revealFile(file.path);
+                  };
+                  li.querySelector('.stats-value').textContent = formatSize(file.size);
+                  largestList.appendChild(li);
+              });
+          }
+
+          /**
+           * 渲染带比例条的用量列表
+           * @param {HTMLElement} list
+           * @param {number} total 计算比例用的总字节数
+           * @param {Array<{label: string, files: number, bytes: number, onclick?: Function}>} entries
+           */
+          function renderUsageBars(list, total, entries) {
+              if (entries.length === 0) {
+                  list.innerHTML = '<li>无</li>';
+                  return;
+              }
+              entries.forEach(entry => {
+                  const li = document.createElement('li');
+                  li.innerHTML = \`
+                      <span class="stats-label"></span>
+                      <span class="stats-bar"><span></span></span>
+                      <span class="stats-value"></span>
+                  \`;
+                  const label = li.querySelector('.stats-label');
+                  label.textContent = entry.label;
+                  if (entry.onclick) {
+                      label.classList.add('clickable');
+                      label.onclick = entry.onclick;
+                  }
+                  const percent = total > 0 ? entry.bytes / total * 100 : 0;
+                  li.querySelector('.stats-bar span').style.width = percent.toFixed(1) + '%';
+                  li.querySelector('.stats-value').textContent = \`\${formatSize(entry.bytes)} · \${entry.files} 个文件\`;
+                  list.appendChild(li);
+              });
+          }
+  
+          /**
+           * 处理排序
+           * @param {Event} event 
+           */
+          function handleSort(event) {
+              const newSort = event.target.value;
+              currentSort = newSort;
+              document.getElementById('sort-select').value = newSort;
+              document.getElementById('sort-select-mobile').value = newSort;
+              renderCurrentFiles();
+          }
+
+          /**
+           * 在列表视图和网格视图之间切换
+           */
+          function toggleViewMode() {
+              viewMode = viewMode === 'grid' ? 'list' : 'grid';
+              localStorage.setItem(VIEW_MODE_KEY, viewMode);
+              applyViewMode();
+              renderFiles(renderedItems);
+          }
+
+          /**
+           * 按 viewMode 更新文件列表的样式和切换按钮的文字
+           */
+          function applyViewMode() {
+              document.getElementById('file-list').classList.toggle('grid', viewMode === 'grid');
+              document.querySelectorAll('.view-toggle').forEach(button => {
+                  button.textContent = viewMode === 'grid' ? '列表视图' : '网格视图';
+              });
+          }
+
+          /**
+           * 图片的缩略图地址，带上 ETag 使文件被覆盖后重新加载
+           * @param {Object} item
+           * @returns {string|null} 不是图片时返回 null
+           */
+          function thumbnailUrl(item) {
+              if (getPreviewType(item) !== 'image' || /\\.svg$/i.test(item.name)) return null;
+              return \`/api/thumbnail?path=\${encodeURIComponent(item.path)}&v=\${encodeURIComponent(item.etag || '')}\`;
+          }
+          
+          /**
+           * 格式化文件大小
+           * @param {number} bytes 
+           * @returns {string}
+           */
+          function formatSize(bytes) {
+              if (bytes === 0 || !bytes) return '0 B';
+              const k = 1024;
+              const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+              const i = Math.floor(Math.log(bytes) / Math.log(k));
+              return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+          }
+  
+          /**
+           * 生成文件信息提示：类型、原始文件名、上传者和上传时间
+           * @param {Object} item 
+           * @returns {string}
+           */
+          function describeFile(item) {
+              const lines = [\`类型: \${item.contentType || '未知'}\`];
+              if (item.originalName && item.originalName !== item.name) lines.push(\`原始文件名: \${item.originalName}\`);
+              if (item.uploadedBy) lines.push(\`上传者: \${item.uploadedBy}\`);
+              const uploadedAt = item.uploadedAt || item.uploaded;
+              if (uploadedAt) lines.push(\`上传时间: \${new Date(uploadedAt).toLocaleString()}\`);
+              if (item.sha256) lines.push(\`SHA-256: \${item.sha256}\`);
+              return lines.join('\\n');
+          }
+
+          /**
+           * 渲染文件列表
+           * @param {Array<Object>} items 
+           */
+          function renderFiles(items) {
+              const fileList = document.getElementById('file-list');
+              fileList.innerHTML = '';
+              renderedItems = items;
+              
+              items.sort((a, b) => {
+                  // 文件夹排在前面
+                  if (a.type === 'folder' && b.type !== 'folder') return -1;
+                  if (b.type === 'folder' && a.type !== 'folder') return 1;
+  
+                  const [sortField, sortDirection] = currentSort.split('-');
+                  const direction = sortDirection === 'asc' ? 1 : -1;
+  
+                  switch (sortField) {
+                      case 'name':
+                          return direction * a.name.localeCompare(b.name);
+                      case 'size':
+                          return direction * ((a.size || 0) - (b.size || 0));
+                      case 'date':
+                          return direction * (new Date(a.uploaded || 0) - new Date(b.uploaded || 0));
+                      default:
+                          return a.name.localeCompare(b.name);
+                  }
+              });
+  
+              items.forEach(item => {
+                  const li = document.createElement('li');
+                  li.innerHTML = \`
+                      <input type="checkbox" class="select-item">
+                      <span class="icon">\${item.type === 'folder' ? '📁' : '📄'}</span>
+                      <span class="name"></span>
+                      <span class="size">\${item.size !== undefined ? formatSize(item.size) : ''}</span>
+                      <div class="actions"></div>
+                      <button class="mobile-actions">&#8942;</button>
+                      <div class="actions-menu"></div>
+                  \`;
+                  const checkbox = li.querySelector('.select-item');
+                  checkbox.checked = selectedPaths.has(item.path);
+                  li.classList.toggle('selected', checkbox.checked);
+                  checkbox.onclick = (e) => handleSelect(item.path, checkbox.checked, e.shiftKey);
+
+                  const nameSpan = li.querySelector('.name');
+                  // 文件名由用户上传，只能作为文本插入
+                  nameSpan.textContent = item.name;
+                  if (item.type === 'file') nameSpan.title = describeFile(item);
+                  if (item.type === 'folder' && item.files !== undefined) nameSpan.title = \`\${item.files} 个文件\`;
+                  if (item.type === 'folder') {
+                      nameSpan.onclick = () => fetchFiles(item.path);
+                  } else {
+                      nameSpan.onclick = () => getPreviewType(item)
+                          ? openPreview(item.path)
+                          : window.open(buildDownloadUrl(item.path, true), '_blank');
+                  }
+
+                  // 网格视图中图片显示缩略图，加载失败时保留默认图标
+                  if (viewMode === 'grid') {
+                      const icon = li.querySelector('.icon');
+                      icon.onclick = nameSpan.onclick;
+                      const thumbnail = item.type === 'file' && canDo(item.access || 'full', 'read') ? thumbnailUrl(item) : null;
+                      if (thumbnail) {
+                          const img = document.createElement('img');
+                          img.loading = 'lazy';
+                          img.alt = '';
+                          img.draggable = false;
+                          img.onerror = () => { icon.textContent = '📄'; };
+                          img.src = thumbnail;
+                          icon.textContent = '';
+                          icon.appendChild(img);
+                      }
+                  }
+  
+                  const actionsDiv = li.querySelector('.actions');
+                  const actionsMenu = li.querySelector('.actions-menu');
+                  const actionButtons = [];
+                  // 只显示当前用户有权执行的操作，服务端同样会检查
+                  const access = item.access || 'full';
+                  const canRead = canDo(access, 'read');
+                  const canDelete = canDo(access, 'delete');
+                  
+                  if (item.type === 'file' && canRead) {
+                      if (getPreviewType(item)) {
+                          actionButtons.push({ text: '预览', handler: () => openPreview(item.path) });
+                      }
+                      actionButtons.push({ text: '下载', handler: () => downloadFile(item.path) });
+                      actionButtons.push({ text: '复制链接', handler: (e) => copyDownloadLink(e.target, item.path) });
+                      if (item.sha256) {
+                          actionButtons.push({ text: '校验', handler: () => verifyFile(item) });
+                      }
+                      if (VERSIONING_ENABLED) {
+                          actionButtons.push({ text: '历史版本', handler: () => openVersionsView(item.path, access) });
+                      }
+                  }
+                  if (item.type === 'folder' && canRead) {
+                      actionButtons.push({ text: '打包下载', handler: () => downloadZip([item.path]) });
+                  }
+                  if (canDo(access, 'share')) {
+                      actionButtons.push({ text: '分享', handler: () => openShareDialog(item.path), className: 'btn-copy' });
+                  }
+                  if (canDelete) {
+                      actionButtons.push({ text: '重命名', handler: () => renameItem(item.path) });
+                      actionButtons.push({ text: '移动', handler: () => moveItem(item.path) });
+                  }
+                  if (canRead) {
+                      actionButtons.push({ text: '复制到...', handler: () => copyItem(item.path) });
+                  }
+                  if (canDelete) {
+                      actionButtons.push({ text: '删除', handler: () => deleteItem(item.path), className: 'btn-delete' });
+                  }
+                  if (actionButtons.length === 0) {
+                      li.querySelector('.mobile-actions').style.display = 'none';
+                  }
+                  
+                  actionButtons.forEach(btnInfo => {
+                      const desktopBtn = document.createElement('button');
+                      desktopBtn.textContent = btnInfo.text;
+                      if(btnInfo.className) desktopBtn.className = btnInfo.className;
+                      desktopBtn.onclick = btnInfo.handler;
+                      actionsDiv.appendChild(desktopBtn);
+                      
+                      const mobileBtn = document.createElement('button');
+                      mobileBtn.textContent = btnInfo.text;
+                      mobileBtn.onclick = (e) => {
+                          actionsMenu.style.display = 'none';
+                          btnInfo.handler(e);
+                      };
+                      actionsMenu.appendChild(mobileBtn);
+                  });
+                  
+                  // 拖动条目到文件夹行或面包屑上即可移动
+                  li.draggable = canDelete;
+                  li.addEventListener('dragstart', (e) => {
+                      e.dataTransfer.setData(DRAG_PATH_TYPE, item.path);
+                      e.dataTransfer.effectAllowed = 'move';
+                  });
+                  if (item.type === 'folder' && canDo(access, 'write')) {
+                      makeMoveDropTarget(li, item.path);
+                  }
+
+                  const mobileActionsBtn = li.querySelector('.mobile-actions');
+                  mobileActionsBtn.onclick = (e) => {
+                      e.stopPropagation();
+                      document.querySelectorAll('.actions-menu').forEach(menu => {
+                          if (menu !== actionsMenu) menu.style.display = 'none';
+                      });
+                      actionsMenu.style.display = actionsMenu.style.display === 'flex' ? 'none' : 'flex';
+                  };
+                  
+                  fileList.appendChild(li);
+              });
+              updateSelectionBar();
+          }
+
+          /**
+           * 勾选或取消勾选一个条目。按住 Shift 时把上次点击的条目到当前条目之间的都设为相同状态
+           * @param {string} path 
+           * @param {boolean} checked 
+           * @param {boolean} shiftKey 
+           */
+          function handleSelect(path, checked, shiftKey) {
+              const index = renderedItems.findIndex(item => item.path === path);
+              const lastIndex = renderedItems.findIndex(item => item.path === lastSelectedPath);
+              const range = shiftKey && lastIndex !== -1
+                  ? renderedItems.slice(Math.min(index, lastIndex), Math.max(index, lastIndex) + 1)
+                  : [renderedItems[index]];
+              range.forEach(item => {
+                  if (checked) selectedPaths.add(item.path);
+                  else selectedPaths.delete(item.path);
+              });
+              lastSelectedPath = path;
+              syncSelectionCheckboxes();
+          }
+
+          /**
+           * 全选或取消全选当前显示的条目（搜索时只针对搜索结果）
+           * @param {boolean} checked 
+           */
+          function toggleSelectAll(checked) {
+              renderedItems.forEach(item => {
+                  if (checked) selectedPaths.add(item.path);
+                  else selectedPaths.delete(item.path);
+              });
+              syncSelectionCheckboxes();
+          }
+
+          function clearSelection() {
+              selectedPaths.clear();
+              lastSelectedPath = null;
+              syncSelectionCheckboxes();
+          }
+
+          /**
+           * 按 selectedPaths 更新列表中的复选框，不重新渲染整个列表
+           */
+          function syncSelectionCheckboxes() {
+              document.querySelectorAll('#file-list li').forEach((li, index) => {
+                  const selected = selectedPaths.has(renderedItems[index].path);
+                  li.querySelector('.select-item').checked = selected;
+                  li.classList.toggle('selected', selected);
+              });
+              updateSelectionBar();
+          }
+
+          /**
+           * 更新全选框状态、已选数量和批量操作按钮
+           */
+          function updateSelectionBar() {
+              const selectAll = document.getElementById('select-all');
+              const selectedVisible = renderedItems.filter(item => selectedPaths.has(item.path)).length;
+              selectAll.checked = renderedItems.length > 0 && selectedVisible === renderedItems.length;
+              selectAll.indeterminate = selectedVisible > 0 && selectedVisible < renderedItems.length;
+              document.getElementById('selection-count').textContent = selectedPaths.size ? \`已选择 \${selectedPaths.size} 项\` : '';
+              document.getElementById('bulk-actions').classList.toggle('visible', selectedPaths.size > 0);
+          }
+
+          /**
+           * 把选中的条目打包下载
+           */
+          function downloadSelected() {
+              if (selectedPaths.size === 0) return;
+              downloadZip([...selectedPaths]);
+          }
+
+          /**
+           * 批量删除选中的条目，文件夹连同其中的文件一起删除
+           */
+          async function deleteSelected() {
+              const paths = [...selectedPaths];
+              if (paths.length === 0) return;
+              const notice = TRASH_ENABLED ? '删除后可在回收站中恢复。' : '此操作无法撤销。';
+              if (!confirm(\`确定要删除选中的 \${paths.length} 项吗？文件夹中的所有文件也会被删除，\${notice}\`)) return;
+              try {
+                  // 分批提交，每批的路径数不超过服务端的限制
+                  const result = { succeeded: 0, failed: 0, results: [] };
+                  for (let i = 0; i < paths.length; i += BATCH_DELETE_SIZE) {
+                      const response = await fetchApi('/api/batch/delete', {
+                          method: 'POST',
+                          headers: { 'Content-Type': 'application/json' },
+                          body: JSON.stringify({ paths: paths.slice(i, i + BATCH_DELETE_SIZE) })
+                      });
+                      const batch = await response.json();
+                      // 超出单次请求可移入回收站的数量时，剩下的逐个继续删除
+                      for (const item of batch.results.filter(r => r.truncated)) {
+                          if (item.path.endsWith('/')) {
+                              const rest = await deleteFolder(item.path, item.trashId);
+                              item.ok = rest.failed === 0;
+                          } else {
+                              await fetchApi(\`/api/delete?path=\${encodeURIComponent(item.path)}\`, { method: 'DELETE' });
+                          }
+                          if (!item.ok) {
+                              batch.succeeded--;
+                              batch.failed++;
+                          }
+                      }
+                      result.succeeded += batch.succeeded;
+                      result.failed += batch.failed;
+                      result.results.push(...batch.results);
+                  }
+                  if (result.failed > 0) {
+                      const failedNames = result.results.filter(r => !r.ok).map(r => getItemName(r.path));
+                      showErrorMessage(\`已删除 \${result.succeeded} 项，\${result.failed} 项删除失败: \${failedNames.join(', ')}\`);
+                  } else {
+                      showTemporaryMessage(\`已删除 \${result.succeeded} 项\`);
+                  }
+                  fetchFiles(currentPath);
+              } catch (e) {
+                  if (e.message !== 'Unauthorized') {
+                      console.error('批量删除失败', e);
+                      showErrorMessage('批量删除失败: ' + e.message);
+                  }
+              }
+          }
+
+          // 点击任何地方关闭移动端菜单
+          document.addEventListener('click', (e) => {
+              if (!e.target.closest('.mobile-actions')) {
+                  document.querySelectorAll('.actions-menu').forEach(menu => menu.style.display = 'none');
+              }
+          });
+  
+          /**
+           * 渲染面包屑导航
+           */
+          function renderBreadcrumb() {
+              const breadcrumb = document.getElementById('breadcrumb');
+              breadcrumb.innerHTML = '';
+              const addLink = (text, path) => {
+                  const link = document.createElement('a');
+                  link.href = '#';
+                  link.textContent = text;
+                  link.onclick = (e) => { e.preventDefault(); fetchFiles(path); };
+                  makeMoveDropTarget(link, path);
+                  breadcrumb.appendChild(link);
+              };
+              addLink('根目录', '');
+              const parts = currentPath.split('/').filter(p => p);
+              let path = '';
+              parts.forEach(part => {
+                  path += part + '/';
+                  breadcrumb.appendChild(document.createTextNode(' / '));
+                  addLink(part, path);
+              });
+          }
+
+          /**
+           * 让元素可以接收拖入的文件/文件夹，并将其移动到 folderPath
+           * @param {HTMLElement} element 
+           * @param {string} folderPath 目标文件夹路径
+           */
+          function makeMoveDropTarget(element, folderPath) {
+              element.addEventListener('dragover', (e) => {
+                  if (!e.dataTransfer.types.includes(DRAG_PATH_TYPE)) return;
+                  e.preventDefault();
+                  e.stopPropagation();
+                  e.dataTransfer.dropEffect = 'move';
+                  element.classList.add('drop-target');
+              });
+              element.addEventListener('dragleave', () => element.classList.remove('drop-target'));
+              element.addEventListener('drop', (e) => {
+                  if (!e.dataTransfer.types.includes(DRAG_PATH_TYPE)) return;
+                  e.preventDefault();
+                  e.stopPropagation();
+                  element.classList.remove('drop-target');
+                  moveItemTo(e.dataTransfer.getData(DRAG_PATH_TYPE), folderPath);
+              });
+          }
+  
+          /**
+           * 处理文件上传。通过 webkitdirectory 选择文件夹时按 webkitRelativePath 保留目录结构
+           * @param {FileList} files 
+           */
+          async function handleFiles(files) {
+              if (!files || files.length === 0) return;
+              const entries = Array.from(files, file => ({ file, relativePath: file.webkitRelativePath || file.name }));
+              await uploadEntries(entries, []);
+          }
+
+          /**
+           * 上传一组文件到当前目录，并先创建所需的文件夹标记
+           * @param {Array<{file: File, relativePath: string}>} entries 
+           * @param {string[]} folders 需要创建的文件夹（相对路径，以 / 结尾），包括拖入的空文件夹
+           */
+          async function uploadEntries(entries, folders) {
+              const folderSet = new Set(folders);
+              entries.forEach(({ relativePath }) => {
+                  const parts = relativePath.split('/').slice(0, -1);
+                  parts.forEach((_, i) => folderSet.add(parts.slice(0, i + 1).join('/') + '/'));
+              });
+              for (const folder of [...folderSet].sort()) {
+                  try {
+                      await fetchApi(\`/api/upload?path=\${encodeURIComponent(currentPath + folder)}\`, {
+                          method: 'POST',
+                          headers: { 'X-Create-Folder': 'true' }
+                      });
+                  } catch (e) {
+                      if (e.message !== 'Unauthorized') {
+                          console.error(\`创建文件夹 '\${folder}' 失败: \${e.message}\`, e);
+                          showErrorMessage(\`创建文件夹 '\${folder}' 失败: \${e.message}\`);
+                      }
+                  }
+              }
+              if (folderSet.size > 0) fetchFiles(currentPath);
+              // 同一批上传共享“对之后的冲突执行相同操作”的选择
+              const batch = { conflictChoice: null };
+              enqueueUploads(entries.map(({ file, relativePath }) => ({ file, path: currentPath + relativePath, name: relativePath, batch })));
+              ['file-upload', 'file-upload-mobile', 'folder-upload', 'folder-upload-mobile'].forEach(id => {
+                  document.getElementById(id).value = '';
+              });
+          }
+
+          /**
+           * 读取拖入的文件和文件夹。必须在 drop 事件中同步取得条目，事件结束后 dataTransfer 会被清空
+           * @param {DataTransfer} dataTransfer 
+           * @returns {Promise<{entries: Array<{file: File, relativePath: string}>, folders: string[]}>}
+           */
+          function collectDroppedEntries(dataTransfer) {
+              const roots = Array.from(dataTransfer.items || [])
+                  .filter(item => item.kind === 'file')
+                  .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+                  .filter(Boolean);
+              // 不支持 webkitGetAsEntry 的浏览器只能上传文件本身
+              if (roots.length === 0) {
+                  const files = Array.from(dataTransfer.files);
+                  return Promise.resolve({ entries: files.map(file => ({ file, relativePath: file.name })), folders: [] });
+              }
+              const result = { entries: [], folders: [] };
+              const walk = async (entry, prefix) => {
+                  if (entry.isFile) {
+                      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                      result.entries.push({ file, relativePath: prefix + entry.name });
+                  } else if (entry.isDirectory) {
+                      const folder = prefix + entry.name + '/';
+                      result.folders.push(folder);
+                      const reader = entry.createReader();
+                      // readEntries 每次只返回一部分，需要一直读到返回空数组
+                      let children;
+                      do {
+                          children = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                          for (const child of children) await walk(child, folder);
+                      } while (children.length > 0);
+                  }
+              };
+              return Promise.all(roots.map(root => walk(root, ''))).then(() => result);
+          }
+
+          /**
+           * 处理拖入的文件和文件夹
+           * @param {DataTransfer} dataTransfer 
+           */
+          async function handleDrop(dataTransfer) {
+              try {
+                  const { entries, folders } = await collectDroppedEntries(dataTransfer);
+                  if (entries.length === 0 && folders.length === 0) return;
+                  await uploadEntries(entries, folders);
+              } catch (e) {
+                  console.error('读取拖入的文件失败', e);
+                  showErrorMessage('读取拖入的文件失败: ' + e.message);
+              }
+          }
+  
+          // --- 上传队列 ---
+
+          /**
+           * 把文件加入上传队列并开始上传
+           * @param {Array<{file: File, path: string, name: string, batch: Object}>} items 
+           */
+          function enqueueUploads(items) {
+              if (items.length === 0) return;
+              items.forEach(({ file, path, name, batch }) => {
+                  // overwriteEtag 为 null 时只在目标不存在时上传，确认覆盖后为现有文件的 etag
+                  const task = { id: ++uploadTaskId, file, path, name, batch, overwriteEtag: null, status: 'pending', loaded: 0, error: '', requests: new Set() };
+                  uploadTasks.push(task);
+                  renderUploadTask(task);
+              });
+              const panel = document.getElementById('upload-panel');
+              panel.classList.add('visible');
+              if (!uploadTimer) {
+                  uploadSamples = [];
+                  uploadTimer = setInterval(updateUploadSummary, 1000);
+              }
+              pumpUploads();
+          }
+
+          /**
+           * 在并发数允许的范围内开始等待中的任务，全部结束后汇总结果
+           */
+          function pumpUploads() {
+              while (activeUploads < uploadConcurrency) {
+                  const task = uploadTasks.find(t => t.status === 'pending');
+                  if (!task) break;
+                  runUploadTask(task);
+              }
+              updateUploadSummary();
+              if (uploadTimer && activeUploads === 0 && !uploadTasks.some(t => t.status === 'pending')) {
+                  clearInterval(uploadTimer);
+                  uploadTimer = null;
+                  updateUploadSummary();
+                  const failed = uploadTasks.filter(t => t.status === 'error').length;
+                  if (failed > 0) {
+                      showErrorMessage(\`\${failed} 个文件上传失败，可在上传面板中重试\`);
+                  } else {
+                      showTemporaryMessage('所有文件处理完毕!');
+                  }
+                  fetchFiles(currentPath);
+              }
+          }
+
+          /**
+           * 上传单个任务，小文件整体上传，大文件分片上传
+           * @param {Object} task 
+           */
+          async function runUploadTask(task) {
+              task.status = 'uploading';
+              task.error = '';
+              setUploadProgress(task, 0);
+              activeUploads++;
+              renderUploadTask(task);
+              try {
+                  // 超过单个文件大小上限时不必计算校验值和上传
+                  if (currentQuota && currentQuota.maxFileSize !== null && task.file.size > currentQuota.maxFileSize) {
+                      const error = new Error('File too large');
+                      error.status = 413;
+                      throw error;
+                  }
+                  // 先计算校验值，服务端据此确认收到的内容与本地文件一致；重试时沿用。
+                  // 分片上传的大文件另外在上传每个分片前计算该分片的校验值，整体校验值用于之后的校验
+                  if (!task.sha256) {
+                      task.hashing = true;
+                      renderUploadTask(task);
+                      task.sha256 = await hashBlob(task.file, loaded => {
+                          task.hashedBytes = loaded;
+                          renderUploadTask(task);
+                      });
+                      task.hashing = false;
+                      if (task.status === 'cancelled') throw new Error('已取消');
+                  }
+                  const originalPath = task.path;
+                  let renameIndex = 0;
+                  for (;;) {
+                      try {
+                          await uploadTaskFile(task);
+                          break;
+                      } catch (e) {
+                          if (e.status !== 412 || task.status === 'cancelled') throw e;
+                          // 目标已存在：覆盖、跳过或改名后重试。选择保留两者后，新名称仍冲突时继续递增编号
+                          const choice = renameIndex > 0 ? 'rename' : await askConflict(task);
+                          if (task.status === 'cancelled') throw new Error('已取消');
+                          if (choice === 'skip') {
+                              task.status = 'skipped';
+                              return;
+                          }
+                          if (choice === 'overwrite') {
+                              task.overwriteEtag = e.etag;
+                          } else {
+                              task.path = keepBothName(originalPath, ++renameIndex);
+                              task.name = task.name.substring(0, task.name.lastIndexOf('/') + 1) + task.path.split('/').pop();
+                          }
+                          setUploadProgress(task, 0);
+                      }
+                  }
+                  setUploadProgress(task, task.file.size);
+                  task.status = 'done';
+              } catch (e) {
+                  task.hashing = false;
+                  if (task.status !== 'cancelled') {
+                      task.status = 'error';
+                      task.error = describeUploadError(e);
+                      console.error(\`上传文件 '\${task.name}' 失败: \${e.message}\`, e);
+                  }
+              } finally {
+                  activeUploads--;
+                  renderUploadTask(task);
+                  pumpUploads();
+              }
+          }
+
+          /**
+           * 使用 XMLHttpRequest 发送请求以获得上传进度，错误处理与 fetchApi 一致
+           * @param {Object} task 所属任务，取消任务时中止其所有请求
+           * @param {string} method 
+           * @param {string} url 
+           * @param {Blob} body 
+           * @param {function(number): void} onProgress 已上传的字节数
+           * @param {Object<string, string>} headers 
+           * @returns {Promise<string>} 响应内容
+           */
+          function xhrRequest(task, method, url, body, onProgress, headers = {}) {
+              return new Promise((resolve, reject) => {
+                  const xhr = new XMLHttpRequest();
+                  const fail = (message, status) => {
+                      const error = new Error(message);
+                      error.status = status;
+                      error.body = status ? xhr.responseText : '';
+                      error.etag = status ? xhr.getResponseHeader('ETag') : null;
+                      error.cancelled = task.status === 'cancelled';
+                      reject(error);
+                  };
+                  xhr.open(method, url);
+                  Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+                  xhr.upload.onprogress = (e) => onProgress(e.loaded);
+                  xhr.onload = () => {
+                      task.requests.delete(xhr);
+                      if (xhr.status === 401) {
+                          showLoginView('登录已失效，请重新登录。');
+                          fail('Unauthorized', 401);
+                      } else if (xhr.status < 200 || xhr.status >= 300) {
+                          fail(\`API Error \${xhr.status} - \${xhr.responseText}\`, xhr.status);
+                      } else {
+                          resolve(xhr.responseText);
+                      }
+                  };
+                  xhr.onerror = () => { task.requests.delete(xhr); fail('网络错误'); };
+                  xhr.onabort = () => { task.requests.delete(xhr); fail('已取消'); };
+                  task.requests.add(xhr);
+                  xhr.send(body);
+              });
+          }
+
+          /**
+           * 显示当前文件夹适用的配额中剩余空间最少的一个，以及单个文件的大小上限
+           */
+          function renderQuota() {
+              const info = document.getElementById('quota-info');
+              const parts = [];
+              let low = false;
+              if (currentQuota) {
+                  const tightest = currentQuota.limits.reduce((min, limit) => (!min || limit.remaining < min.remaining ? limit : min), null);
+                  if (tightest) {
+                      parts.push(\`剩余空间 \${formatSize(tightest.remaining)} / \${formatSize(tightest.limit)}\` + (tightest.path ? \`（\${tightest.path}）\` : ''));
+                      low = tightest.remaining < tightest.limit * QUOTA_WARNING_RATIO;
+                  }
+                  if (currentQuota.maxFileSize !== null) parts.push(\`单个文件不超过 \${formatSize(currentQuota.maxFileSize)}\`);
+              }
+              info.textContent = parts.join(' · ');
+              info.classList.toggle('quota-low', low);
+              info.style.display = parts.length > 0 ? 'block' : 'none';
+          }
+
+          /**
+           * 把上传失败的原因转换为提示文字，超出配额时说明上限和剩余空间
+           * @param {Error} e
+           * @returns {string}
+           */
+          function describeUploadError(e) {
+              if (e.message === 'Unauthorized') return '登录已失效';
+              if (e.status === 422) return '校验失败，上传的内容与本地文件不一致';
+              if (e.status !== 413 && e.status !== 507 && e.status !== 503) return e.message;
+              let detail = {};
+              try {
+                  detail = JSON.parse(e.body || '{}');
+              } catch (parseError) {
+                  // 非 JSON 的错误信息没有更多细节
+              }
+              if (e.status === 503) {
+                  return detail.error === 'Usage stats not built' ? '还没有生成存储用量统计，无法检查配额，请先打开“存储用量”面板' : e.message;
+              }
+              if (e.status === 413) {
+                  const maxFileSize = detail.maxFileSize || (currentQuota && currentQuota.maxFileSize);
+                  return maxFileSize ? \`文件超过单个文件大小上限 \${formatSize(maxFileSize)}\` : '文件超过大小上限';
+              }
+              if (detail.limit === undefined) return '存储空间不足';
+              return \`存储空间不足：\${detail.path || '网盘'} 的配额为 \${formatSize(detail.limit)}，剩余 \${formatSize(detail.remaining)}\`;
+          }
+
+          /**
+           * 更新任务进度并累计上传速度
+           * @param {Object} task 
+           * @param {number} loaded 
+           */
+          function setUploadProgress(task, loaded) {
+              if (loaded > task.loaded) uploadedBytes += loaded - task.loaded;
+              task.loaded = loaded;
+              renderUploadTask(task);
+          }
+
+          /**
+           * 计算文件的 SHA-256
+           * @param {Blob} blob 
+           * @param {function(number): void} onProgress 已处理的字节数
+           * @returns {Promise<string>} 十六进制字符串
+           */
+          async function hashBlob(blob, onProgress = () => {}) {
+              if (blob.size <= SHA256_SUBTLE_LIMIT) {
+                  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+                  onProgress(blob.size);
+                  return toHex(new Uint8Array(digest));
+              }
+              const hasher = createSha256();
+              for (let offset = 0; offset < blob.size; offset += HASH_CHUNK_SIZE) {
+                  hasher.update(new Uint8Array(await blob.slice(offset, offset + HASH_CHUNK_SIZE).arrayBuffer()));
+                  onProgress(Math.min(blob.size, offset + HASH_CHUNK_SIZE));
+              }
+              return hasher.digest();
+          }
+
+          function toHex(bytes) {
+              return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+          }
+
+          /**
+           * 可分块输入的 SHA-256。crypto.subtle 只能一次性计算，大文件和下载流使用这个实现
+           * @returns {{update: function(Uint8Array): void, digest: function(): string}}
+           */
+          function createSha256() {
+              const K = new Uint32Array([
+                  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+                  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+                  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+                  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+                  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+                  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+                  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+                  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+              ]);
+              const H = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+              const W = new Uint32Array(64);
+              const block = new Uint8Array(64);
+              let blockLength = 0;
+              let totalLength = 0;
+              const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+              // 压缩 bytes 中从 offset 开始的 64 字节
+              const compress = (bytes, offset) => {
+                  for (let i = 0; i < 16; i++) {
+                      const j = offset + i * 4;
+                      W[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+                  }
+                  for (let i = 16; i < 64; i++) {
+                      const s0 = rotr(W[i - 15], 7) ^ rotr(W[i - 15], 18) ^ (W[i - 15] >>> 3);
+                      const s1 = rotr(W[i - 2], 17) ^ rotr(W[i - 2], 19) ^ (W[i - 2] >>> 10);
+                      W[i] = W[i - 16] + s0 + W[i - 7] + s1;
+                  }
+                  let [a, b, c, d, e, f, g, h] = H;
+                  for (let i = 0; i < 64; i++) {
+                      const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + W[i];
+                      const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+                      h = g; g = f; f = e; e = (d + t1) | 0;
+                      d = c; c = b; b = a; a = (t1 + t2) | 0;
+                  }
+                  H[0] += a; H[1] += b; H[2] += c; H[3] += d; H[4] += e; H[5] += f; H[6] += g; H[7] += h;
+              };
+              const update = (data) => {
+                  totalLength += data.length;
+                  let i = 0;
+                  // 先补齐上次剩下的不完整块，之后的完整块直接从输入中压缩，不再逐字节复制
+                  if (blockLength > 0) {
+                      const count = Math.min(64 - blockLength, data.length);
+                      block.set(data.subarray(0, count), blockLength);
+                      blockLength += count;
+                      i = count;
+                      if (blockLength < 64) return;
+                      compress(block, 0);
+                      blockLength = 0;
+                  }
+                  for (; i + 64 <= data.length; i += 64) compress(data, i);
+                  block.set(data.subarray(i), 0);
+                  blockLength = data.length - i;
+              };
+              return {
+                  update,
+                  digest() {
+                      const bitLength = totalLength * 8;
+                      const padding = new Uint8Array((blockLength < 56 ? 56 : 120) - blockLength + 8);
+                      padding[0] = 0x80;
+                      const view = new DataView(padding.buffer);
+                      view.setUint32(padding.length - 8, Math.floor(bitLength / 0x100000000));
+                      view.setUint32(padding.length - 4, bitLength >>> 0);
+                      update(padding);
+                      const out = new Uint8Array(32);
+                      const outView = new DataView(out.buffer);
+                      H.forEach((value, i) => outView.setUint32(i * 4, value));
+                      return toHex(out);
+                  },
+              };
+          }
+
+          /**
+           * 重新下载文件并计算 SHA-256，与上传时保存的校验值比较
+           * @param {Object} item 列表中的文件
+           */
+          async function verifyFile(item) {
+              showTemporaryMessage(\`正在校验 \${item.name}...\`);
+              try {
+                  const response = await fetchApi(buildDownloadUrl(item.path));
+                  const hasher = createSha256();
+                  const reader = response.body.getReader();
+                  for (;;) {
+                      const { value, done } = await reader.read();
+                      if (done) break;
+                      hasher.update(value);
+                  }
+                  const actual = hasher.digest();
+                  if (actual === item.sha256) {
+                      showTemporaryMessage(\`\${item.name} 校验通过 (SHA-256 \${actual})\`);
+                  } else {
+                      showErrorMessage(\`\${item.name} 校验失败！期望 \${item.sha256}，实际 \${actual}\`);
+                  }
+              } catch (e) {
+                  if (e.message !== 'Unauthorized') {
+                      console.error('校验失败', e);
+                      showErrorMessage('校验失败: ' + e.message);
+                  }
+              }
+          }
+
+          /**
+           * 上传任务的文件，冲突时抛出 status 为 412 的错误
+           * @param {Object} task 
+           */
+          async function uploadTaskFile(task) {
+              if (task.file.size > MULTIPART_THRESHOLD) {
+                  await uploadMultipart(task);
+              } else {
+                  await xhrRequest(task, 'POST', \`/api/upload?path=\${encodeURIComponent(task.path)}\`, task.file,
+                      loaded => setUploadProgress(task, loaded), { ...uploadConditionHeaders(task), ...uploadMetadataHeaders(task) });
+              }
+          }
+
+          /**
+           * 上传时附带的文件类型和原始文件名，服务端据此保存元数据
+           * @param {Object} task 
+           * @returns {Object<string, string>}
+           */
+          function uploadMetadataHeaders(task) {
+              const headers = { 'X-File-Name': encodeURIComponent(task.file.name) };
+              if (task.sha256) headers['X-Content-SHA256'] = task.sha256;
+              if (task.file.type) headers['Content-Type'] = task.file.type;
+              return headers;
+          }
+
+          /**
+           * 默认只在目标不存在时上传；确认覆盖后只覆盖确认时看到的那个版本
+           * @param {Object} task 
+           * @returns {Object<string, string>}
+           */
+          function uploadConditionHeaders(task) {
+              return task.overwriteEtag ? { 'If-Match': task.overwriteEtag } : { 'If-None-Match': '*' };
+          }
+
+          /**
+           * 生成“保留两者”时的新路径，例如 a/b.txt -> a/b (1).txt
+           * @param {string} path 
+           * @param {number} index 
+           * @returns {string}
+           */
+          function keepBothName(path, index) {
+              const slash = path.lastIndexOf('/');
+              const name = path.substring(slash + 1);
+              const dot = name.lastIndexOf('.');
+              const base = dot > 0 ? name.substring(0, dot) : name;
+              const ext = dot > 0 ? name.substring(dot) : '';
+              return path.substring(0, slash + 1) + \`\${base} (\${index})\${ext}\`;
+          }
+
+          /**
+           * 询问如何处理上传冲突。同一批上传选择了“对之后的冲突执行相同操作”时直接返回该选择
+           * @param {Object} task 
+           * @returns {Promise<'overwrite'|'skip'|'rename'>}
+           */
+          function askConflict(task) {
+              const ask = async () => {
+                  if (task.batch && task.batch.conflictChoice) return task.batch.conflictChoice;
+                  document.getElementById('conflict-message').textContent = \`“\${task.path}” 已存在，要如何处理？\`;
+                  document.getElementById('conflict-apply-all').checked = false;
+                  document.getElementById('conflict-modal').classList.add('visible');
+                  const choice = await new Promise(resolve => { conflictResolver = resolve; });
+                  if (document.getElementById('conflict-apply-all').checked && task.batch) {
+                      task.batch.conflictChoice = choice;
+                  }
+                  return choice;
+              };
+              const result = conflictQueue.then(ask);
+              conflictQueue = result.catch(() => {});
+              return result;
+          }
+
+          /**
+           * 冲突对话框的按钮
+           * @param {'overwrite'|'skip'|'rename'} choice 
+           */
+          function resolveConflict(choice) {
+              closeModal('conflict-modal');
+              if (conflictResolver) conflictResolver(choice);
+              conflictResolver = null;
+          }
+
+          function cancelUpload(id) {
+              const task = uploadTasks.find(t => t.id === id);
+              if (!task || (task.status !== 'pending' && task.status !== 'uploading')) return;
+              const wasPending = task.status === 'pending';
+              task.status = 'cancelled';
+              task.requests.forEach(xhr => xhr.abort());
+              renderUploadTask(task);
+              if (wasPending) pumpUploads();
+          }
+
+          function retryUpload(id) {
+              const task = uploadTasks.find(t => t.id === id);
+              if (!task || (task.status !== 'error' && task.status !== 'cancelled')) return;
+              enqueueExisting([task]);
+          }
+
+          function retryFailedUploads() {
+              enqueueExisting(uploadTasks.filter(t => t.status === 'error'));
+          }
+
+          /**
+           * 重新排队已有的任务。分片上传会从已完成的分片继续
+           * @param {Array<Object>} tasks 
+           */
+          function enqueueExisting(tasks) {
+              if (tasks.length === 0) return;
+              tasks.forEach(task => {
+                  task.status = 'pending';
+                  task.error = '';
+                  renderUploadTask(task);
+              });
+              if (!uploadTimer) {
+                  uploadSamples = [];
+                  uploadTimer = setInterval(updateUploadSummary, 1000);
+              }
+              pumpUploads();
+          }
+
+          /**
+           * 从面板中移除已完成和已取消的任务，没有剩余任务时隐藏面板
+           */
+          function clearFinishedUploads() {
+              for (let i = uploadTasks.length - 1; i >= 0; i--) {
+                  const task = uploadTasks[i];
+                  if (task.status === 'done' || task.status === 'cancelled' || task.status === 'skipped') {
+                      if (task.element) task.element.remove();
+                      uploadTasks.splice(i, 1);
+                  }
+              }
+              if (uploadTasks.length === 0) document.getElementById('upload-panel').classList.remove('visible');
+              updateUploadSummary();
+          }
+
+          function toggleUploadPanel() {
+              const panel = document.getElementById('upload-panel');
+              const collapsed = panel.classList.toggle('collapsed');
+              document.getElementById('upload-toggle').textContent = collapsed ? '展开' : '收起';
+          }
+
+          /**
+           * 修改同时上传的文件数
+           * @param {string} value 
+           */
+          function setUploadConcurrency(value) {
+              uploadConcurrency = Math.max(1, Number(value) || 1);
+              localStorage.setItem(UPLOAD_CONCURRENCY_KEY, String(uploadConcurrency));
+              pumpUploads();
+          }
+
+          const UPLOAD_STATUS_TEXT = { pending: '等待中', uploading: '上传中', done: '已完成', error: '失败', cancelled: '已取消', skipped: '已跳过' };
+
+          /**
+           * 创建或更新任务在面板中的一行
+           * @param {Object} task 
+           */
+          function renderUploadTask(task) {
+              if (!task.element) {
+                  task.element = document.createElement('li');
+                  task.element.innerHTML = \`
+                      <span class="upload-name"></span>
+                      <div class="upload-progress"><div class="upload-progress-bar"></div></div>
+                      <span class="upload-status"></span>
+                      <button class="btn-secondary"></button>
+                  \`;
+                  document.getElementById('upload-list').appendChild(task.element);
+              }
+              task.element.querySelector('.upload-name').textContent = task.name;
+              const percent = task.file.size ? Math.min(100, Math.round(task.loaded / task.file.size * 100)) : (task.status === 'done' ? 100 : 0);
+              const bar = task.element.querySelector('.upload-progress-bar');
+              bar.style.width = percent + '%';
+              bar.className = 'upload-progress-bar' + (task.status === 'done' ? ' done' : task.status === 'error' ? ' error' : '');
+              const statusEl = task.element.querySelector('.upload-status');
+              let statusText = UPLOAD_STATUS_TEXT[task.status];
+              if (task.status === 'uploading' && task.hashing) {
+                  statusText = \`计算校验值 \${task.file.size ? Math.round((task.hashedBytes || 0) / task.file.size * 100) : 0}%\`;
+              } else if (task.status === 'uploading') {
+                  statusText += \` \${percent}% (\${formatSize(task.loaded)} / \${formatSize(task.file.size)})\`;
+              }
+              if (task.status === 'error') statusText += ': ' + task.error;
+              statusEl.textContent = statusText;
+              statusEl.classList.toggle('error', task.status === 'error');
+              const button = task.element.querySelector('button');
+              const active = task.status === 'pending' || task.status === 'uploading';
+              button.style.display = task.status === 'done' || task.status === 'skipped' ? 'none' : '';
+              button.textContent = active ? '取消' : '重试';
+              button.onclick = () => active ? cancelUpload(task.id) : retryUpload(task.id);
+          }
+
+          /**
+           * 更新面板标题中的总进度、速度和剩余时间
+           */
+          function updateUploadSummary() {
+              const counted = uploadTasks.filter(t => t.status !== 'cancelled');
+              const done = counted.filter(t => t.status === 'done' || t.status === 'skipped').length;
+              const failed = counted.filter(t => t.status === 'error').length;
+              let summary = \`上传 \${done}/\${counted.length}\`;
+              if (failed > 0) summary += \`，\${failed} 个失败\`;
+              document.getElementById('upload-summary').textContent = summary;
+              document.getElementById('upload-retry-all').style.display = failed > 0 ? '' : 'none';
+
+              const speedEl = document.getElementById('upload-speed');
+              if (!uploadTimer) {
+                  speedEl.textContent = '';
+                  return;
+              }
+              // 以最近 5 秒的数据计算速度
+              const now = Date.now();
+              uploadSamples.push({ time: now, bytes: uploadedBytes });
+              uploadSamples = uploadSamples.filter(sample => now - sample.time <= 5000);
+              const first = uploadSamples[0];
+              const speed = now > first.time ? (uploadedBytes - first.bytes) / ((now - first.time) / 1000) : 0;
+              const remaining = counted
+                  .filter(t => t.status === 'pending' || t.status === 'uploading')
+                  .reduce((sum, t) => sum + t.file.size - t.loaded, 0);
+              speedEl.textContent = speed > 0
+                  ? \`\${formatSize(speed)}/s，剩余约 \${formatDuration(remaining / speed)}\`
+                  : '';
+          }
+
+          /**
+           * 格式化剩余时间
+           * @param {number} seconds 
+           * @returns {string}
+           */
+          function formatDuration(seconds) {
+              seconds = Math.ceil(seconds);
+              if (seconds < 60) return seconds + ' 秒';
+              if (seconds < 3600) return Math.floor(seconds / 60) + ' 分 ' + (seconds % 60) + ' 秒';
+              return Math.floor(seconds / 3600) + ' 小时 ' + Math.floor(seconds % 3600 / 60) + ' 分';
+          }
+
+          /**
+           * 分片上传大文件。进度保存在 localStorage 中，
+           * 中断或取消后重试即可从已上传的分片继续。
+           * @param {Object} task 上传任务
+           */
+          async function uploadMultipart(task) {
+              const { file, path: filePath } = task;
+              const stateKey = \`drive-multipart:\${filePath}:\${file.size}:\${file.lastModified}\`;
+              const saved = loadMultipartState(stateKey);
+              // 没有 token 的是旧版本保存的进度，服务器端已无法继续
+              if (saved && saved.token) {
+                  try {
+                      return await runMultipartUpload(task, stateKey, saved);
+                  } catch (e) {
+                      if (e.status !== 404) throw e;
+                      // 服务器端的上传已过期或被中止，从头开始
+                      localStorage.removeItem(stateKey);
+                  }
+              }
+              const response = await fetchApi(\`/api/upload/multipart/create?path=\${encodeURIComponent(filePath)}\`, {
+                  method: 'POST',
+                  headers: { ...uploadConditionHeaders(task), ...uploadMetadataHeaders(task), 'X-Upload-Size': String(file.size) }
+              });
+              // 分片大小由服务端决定，之后每个分片都必须是这个大小（最后一片除外）
+              const { uploadId, partSize, token } = await response.json();
+              const state = { uploadId, partSize, token, parts: {} };
+              saveMultipartState(stateKey, state);
+              return runMultipartUpload(task, stateKey, state);
+          }
+
+          /**
+           * 并发上传尚未完成的分片并合并
+           * @param {Object} task 上传任务
+           * @param {string} stateKey localStorage 键
+           * @param {{uploadId: string, partSize: number, token: string, parts: Object<number, string>}} state 
+           */
+          async function runMultipartUpload(task, stateKey, state) {
+              const { file, path: filePath } = task;
+              const query = \`path=\${encodeURIComponent(filePath)}&uploadId=\${encodeURIComponent(state.uploadId)}&size=\${file.size}&token=\${state.token}\`;
+              const partCount = Math.ceil(file.size / state.partSize);
+              const pending = [];
+              const partSizeOf = partNumber => Math.min(state.partSize, file.size - (partNumber - 1) * state.partSize);
+              // 已完成分片的大小加上正在上传的分片的进度
+              let completedBytes = 0;
+              const inFlight = {};
+              const reportProgress = () => {
+                  setUploadProgress(task, completedBytes + Object.values(inFlight).reduce((sum, loaded) => sum + loaded, 0));
+              };
+              for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+                  if (!state.parts[partNumber]) pending.push(partNumber);
+                  else completedBytes += partSizeOf(partNumber);
+              }
+              reportProgress();
+
+              const uploadNextParts = async () => {
+                  while (pending.length > 0 && task.status !== 'cancelled') {
+                      const partNumber = pending.shift();
+                      const start = (partNumber - 1) * state.partSize;
+                      const chunk = file.slice(start, start + state.partSize);
+                      try {
+                          // 服务端边接收边校验，分片内容不一致时返回 422 并重新上传该分片
+                          const sha256 = await hashBlob(chunk);
+                          const responseText = await withRetry(() => xhrRequest(task, 'PUT', \`/api/upload/multipart/part?\${query}&partNumber=\${partNumber}\`, chunk, loaded => {
+                              inFlight[partNumber] = loaded;
+                              reportProgress();
+                          }, { 'X-Content-SHA256': sha256 }));
+                          const part = JSON.parse(responseText);
+                          state.parts[partNumber] = part.etag;
+                          saveMultipartState(stateKey, state);
+                          delete inFlight[partNumber];
+                          completedBytes += partSizeOf(partNumber);
+                          reportProgress();
+                      } catch (e) {
+                          // 停止派发剩余分片，已完成的分片留待续传
+                          pending.length = 0;
+                          throw e;
+                      }
+                  }
+              };
+              const workers = [];
+              for (let i = 0; i < Math.min(MULTIPART_CONCURRENCY, pending.length); i++) {
+                  workers.push(uploadNextParts());
+              }
+              await Promise.all(workers);
+              if (task.status === 'cancelled') throw new Error('已取消');
+
+              const parts = Object.keys(state.parts).map(partNumber => ({ partNumber: Number(partNumber), etag: state.parts[partNumber] }));
+              await fetchApi(\`/api/upload/multipart/complete?\${query}\`, {
+                  method: 'POST',
+                  headers: { 'Content-Type': 'application/json', ...uploadConditionHeaders(task) },
+                  body: JSON.stringify({ parts })
+              });
+              localStorage.removeItem(stateKey);
+          }
+
+          /**
+           * 网络错误、服务器错误或传输中内容损坏时重试，其他客户端错误直接抛出
+           * @param {Function} task 返回 Promise 的函数
+           */
+          async function withRetry(task) {
+              for (let attempt = 1; ; attempt++) {
+                  try {
+                      return await task();
+                  } catch (e) {
+                      const retryable = !e.cancelled && (!e.status || e.status >= 500 || e.status === 422);
+                      if (!retryable || attempt >= PART_RETRIES) throw e;
+                      await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+                  }
+              }
+          }
+
+          function loadMultipartState(stateKey) {
+              try {
+                  return JSON.parse(localStorage.getItem(stateKey));
+              } catch (e) {
+                  return null;
+              }
+          }
+
+          function saveMultipartState(stateKey, state) {
+              localStorage.setItem(stateKey, JSON.stringify(state));
+          }
+
+          /**
+           * 创建文件夹
+           */
+          async function createFolder() {
+              const folderName = prompt('请输入新文件夹的名称');
+              if (!folderName || !folderName.trim()) return;
+              const folderPath = currentPath + folderName.trim() + '/';
+              try {
+                  await fetchApi(\`/api/upload?path=\${encodeURIComponent(folderPath)}\`, {
+                      method: 'POST',
+                      headers: { 'X-Create-Folder': 'true' }
+                  });
+                  fetchFiles(currentPath);
+              } catch (e) {
+                  if (e.message !== 'Unauthorized') {
+                      // 使用自定义模态框或消息提示，而不是 alert
+                      console.error('创建失败', e);
+                      showErrorMessage('创建失败: ' + e.message);
+                  }
+              }
+          }
+          
+          /**
+           * 删除文件或文件夹
+           * @param {string} path 
+           */
+          async function deleteItem(path) {
+              // 使用自定义模态框来替代 confirm
+              console.log(\`Confirm deletion of '\${path.split('/').filter(p => p).pop()}'?\`);
+              const isFolder = path.endsWith('/');
+              const notice = TRASH_ENABLED ? '删除后可在回收站中恢复。' : '此操作无法撤销。';
+              const confirmed = confirm((isFolder ? '确定要删除该文件夹及其中的所有文件吗？' : '确定要删除吗？') + notice);
+              if (!confirmed) return;
+              
+              try {
+                  if (isFolder) {
+                      const result = await deleteFolder(path);
+                      if (result.failed > 0) {
+                          showErrorMessage(\`已删除 \${result.deleted} 个文件，\${result.failed} 个删除失败\`);
+                      } else {
+                          showTemporaryMessage(\`已删除 \${result.deleted} 个文件\`);
+                      }
+                  } else {
+                      await fetchApi(\`/api/delete?path=\${encodeURIComponent(path)}\`, { method: 'DELETE' });
+                  }
+                  fetchFiles(currentPath);
+              } catch (e) {
+                  if (e.message !== 'Unauthorized') {
+                      // 使用自定义模态框或消息提示，而不是 alert
+                      console.error('删除失败', e);
+                      showErrorMessage('删除失败: ' + e.message);
+                  }
+              }
+          }
+          
+          /**
+           * 递归删除文件夹。移入回收站时服务端每次请求只移动一部分文件，未移完时带上 trashId 继续
+           * @param {string} path 
+           * @param {string} [trashId] 上次请求返回的回收站记录
+           * @returns {Promise<{deleted: number, failed: number}>} deleted 为累计删除的文件数
+           */
+          async function deleteFolder(path, trashId) {
+              let deleted = 0;
+              for (;;) {
+                  const query = trashId ? \`&trashId=\${encodeURIComponent(trashId)}\` : '';
+                  const response = await fetchApi(\`/api/delete?path=\${encodeURIComponent(path)}&recursive=true\${query}\`, { method: 'DELETE' });
+                  const result = await response.json();
+                  deleted += result.deleted;
+                  if (!result.truncated || result.failed > 0) return { deleted, failed: result.failed };
+                  trashId = result.trashId;
+              }
+          }
+
+          /**
+           * 重命名文件或文件夹
+           * @param {string} path 
+           */
+          async function renameItem(path) {
+              const isFolder = path.endsWith('/');
+              const oldName = getItemName(path);
+              const newName = prompt('请输入新的名称', oldName);
+              if (!newName || !newName.trim() || newName.trim() === oldName) return;
+              if (newName.includes('/')) {
+                  showErrorMessage('名称不能包含 /');
+                  return;
+              }
+              const parentPath = path.substring(0, path.length - oldName.length - (isFolder ? 1 : 0));
+              await transferItem('move', path, parentPath + newName.trim() + (isFolder ? '/' : ''));
+          }
+
+          /**
+           * 选择目标文件夹后移动文件或文件夹
+           * @param {string} path 
+           */
+          async function moveItem(path) {
+              const folderPath = await pickFolder('移动到...', currentPath);
+              if (folderPath === null) return;
+              await moveItemTo(path, folderPath);
+          }
+
+          /**
+           * 将文件或文件夹移动到指定文件夹下，保持原名称
+           * @param {string} path 
+           * @param {string} folderPath 
+           */
+          async function moveItemTo(path, folderPath) {
+              if (!path) return;
+              const isFolder = path.endsWith('/');
+              if (isFolder && folderPath.startsWith(path)) {
+                  showErrorMessage('不能将文件夹移动到其自身或子文件夹中');
+                  return;
+              }
+              const target = folderPath + getItemName(path) + (isFolder ? '/' : '');
+              if (target === path) return;
+              await transferItem('move', path, target);
+          }
+
+          /**
+           * 选择目标文件夹后在服务器端复制文件或文件夹
+           * @param {string} path 
+           */
+          async function copyItem(path) {
+              const folderPath = await pickFolder('复制到...', currentPath);
+              if (folderPath === null) return;
+              const isFolder = path.endsWith('/');
+              if (isFolder && folderPath.startsWith(path)) {
+                  showErrorMessage('不能将文件夹复制到其自身或子文件夹中');
+                  return;
+              }
+              let name = getItemName(path);
+              const suffix = isFolder ? '/' : '';
+              if (folderPath + name + suffix === path) {
+                  // 复制到原文件夹时需要换一个名称
+                  name = prompt('目标文件夹中已有同名项目，请输入副本名称', name + ' 副本');
+                  if (!name || !name.trim()) return;
+                  if (name.includes('/')) {
+                      showErrorMessage('名称不能包含 /');
+                      return;
+                  }
+              }
+              await transferItem('copy', path, folderPath + name.trim() + suffix);
+          }
+
+          /**
+           * 调用移动/复制接口；目标已存在时询问是否覆盖
+           * @param {'move'|'copy'} action 
+           * @param {string} from 
+           * @param {string} to 
+           */
+          async function transferItem(action, from, to) {
+              const url = \`/api/\${action}?path=\${encodeURIComponent(from)}&to=\${encodeURIComponent(to)}\`;
+              const label = action === 'copy' ? '复制' : '移动';
+              try {
+                  let response;
+                  try {
+                      response = await fetchApi(url, { method: 'POST' });
+                  } catch (e) {
+                      if (e.status !== 409) throw e;
+                      if (!confirm(\`"\${to}" 已存在，是否覆盖？\`)) return;
+                      response = await fetchApi(url + '&overwrite=true', { method: 'POST' });
+                  }
+                  const result = await response.json();
+                  if (result.failed > 0) {
+                      showErrorMessage(\`\${label}完成，\${result.failed} 个文件失败\`);
+                  } else {
+                      showTemporaryMessage(\`已\${label}到 \${to}\`);
+                  }
+                  fetchFiles(currentPath);
+              } catch (e) {
+                  if (e.message !== 'Unauthorized') {
+                      console.error(\`\${label}失败\`, e);
+                      showErrorMessage(\`\${label}失败: \${e.message}\`);
+                  }
+              }
+          }
+
+          /**
+           * 获取路径最后一段的名称（文件夹不含末尾的 /）
+           * @param {string} path 
+           * @returns {string}
+           */
+          function getItemName(path) {
+              return path.split('/').filter(p => p).pop() || '';
+          }
+
+          /**
+           * 打开文件夹选择器
+           * @param {string} title 标题
+           * @param {string} startPath 初始目录
+           * @returns {Promise<string|null>} 选中的文件夹路径，取消时为 null
+           */
+          function pickFolder(title, startPath) {
+              const modal = document.getElementById('folder-picker');
+              const list = document.getElementById('folder-picker-list');
+              const pathLabel = document.getElementById('folder-picker-path');
+              document.getElementById('folder-picker-title').textContent = title;
+              let pickerPath = startPath;
+
+              const showFolder = async (path) => {
+                  pickerPath = path;
+                  pathLabel.textContent = '/' + path;
+                  list.innerHTML = '<li>加载中...</li>';
+                  try {
+                      const folders = [];
+                      let cursor = null;
+                      do {
+                          const page = await fetchListPage(path, cursor);
+                          folders.push(...page.items.filter(item => item.type === 'folder'));
+                          cursor = page.truncated ? page.cursor : null;
+                      } while (cursor);
+                      if (pickerPath !== path) return;
+                      list.innerHTML = '';
+                      if (folders.length === 0) list.innerHTML = '<li class="empty">没有子文件夹</li>';
+                      folders.sort((a, b) => a.name.localeCompare(b.name)).forEach(folder => {
+                          const li = document.createElement('li');
+                          li.textContent = '📁 ' + folder.name;
+                          li.onclick = () => showFolder(folder.path);
+                          list.appendChild(li);
+                      });
+                  } catch (e) {
+                      list.innerHTML = '';
+                      if (e.message !== 'Unauthorized') showErrorMessage('加载文件夹失败: ' + e.message);
+                  }
+              };
+
+              return new Promise(resolve => {
+                  const close = (result) => {
+                      modal.classList.remove('visible');
+                      resolve(result);
+                  };
+                  document.getElementById('folder-picker-up').onclick = () => {
+                      const parts = pickerPath.split('/').filter(p => p);
+                      parts.pop();
+                      showFolder(parts.length ? parts.join('/') + '/' : '');
+                  };
+                  document.getElementById('folder-picker-cancel').onclick = () => close(null);
+                  document.getElementById('folder-picker-confirm').onclick = () => close(pickerPath);
+                  modal.classList.add('visible');
+                  showFolder(startPath);
+              });
+          }
+
+          /**
+           * 构建文件下载 URL
+           * @param {string} path 
+           * @param {boolean} inline 是否内联显示
+           * @returns {string}
+           */
+          function buildDownloadUrl(path, inline = false) {
+              const encodedPath = path.split('/').map(segment => encodeURIComponent(segment)).join('/');
+              let url = \`/api/download/\${encodedPath}\`;
+              if (inline) url += '?inline=true';
+              return url;
+          }
+  
+          /**
+           * 下载文件
+           * @param {string} path 
+           */
+          function downloadFile(path) { window.open(buildDownloadUrl(path)); }
+
+          /**
+           * 把文件和文件夹打包成 ZIP 下载。通过表单 POST 提交，避免路径过多时 URL 超长
+           * @param {string[]} paths 
+           */
+          function downloadZip(paths) {
+              const form = document.createElement('form');
+              form.method = 'POST';
+              form.action = '/api/zip';
+              form.target = '_blank';
+              paths.forEach(path => {
+                  const input = document.createElement('input');
+                  input.type = 'hidden';
+                  input.name = 'path';
+                  input.value = path;
+                  form.appendChild(input);
+              });
+              document.body.appendChild(form);
+              form.submit();
+              form.remove();
+          }
+          
+          // --- 文件预览 ---
+          // 按扩展名或内容类型选择预览方式。音视频和 PDF 交给浏览器处理，可以拖动进度；
+          // 文本类文件只读取开头 PREVIEW_TEXT_LIMIT 字节，在页面中高亮或渲染
+          const PREVIEW_TEXT_LIMIT = 512 * 1024;
+          const PREVIEW_CSV_ROWS = 1000;
+          const PREVIEW_TYPES = [
+              { type: 'image', pattern: /\\.(jpe?g|png|gif|webp|svg|bmp|ico|avif)$/i, mime: /^image\\// },
+              { type: 'video', pattern: /\\.(mp4|m4v|webm|ogv|mov)$/i, mime: /^video\\// },
+              { type: 'audio', pattern: /\\.(mp3|wav|ogg|oga|m4a|aac|flac|opus)$/i, mime: /^audio\\// },
+              { type: 'pdf', pattern: /\\.pdf$/i, mime: /^application\\/pdf$/ },
+              { type: 'markdown', pattern: /\\.(md|markdown)$/i, mime: /^text\\/markdown$/ },
+              { type: 'json', pattern: /\\.(json|geojson|ipynb)$/i, mime: /[/+]json$/ },
+              { type: 'csv', pattern: /\\.(csv|tsv)$/i, mime: /^text\\/(csv|tab-separated-values)$/ },
+              { type: 'code', pattern: /\\.(js|mjs|cjs|jsx|ts|tsx|py|go|rs|java|kt|c|h|cc|cpp|hpp|cs|rb|php|sh|bash|sql|css|scss|html|htm|xml|vue|yaml|yml|toml|ini|conf|swift|lua|pl|r)$/i },
+              { type: 'text', pattern: /(\\.(txt|log|out|env)|^(dockerfile|makefile|readme|license))$/i, mime: /^text\\// },
+          ];
+          let previewItems = [];
+          let previewIndex = -1;
+          // 每次切换预览时加一，用于丢弃已过时的加载结果
+          let previewRequest = 0;
+
+          /**
+           * 判断文件的预览方式
+           * @param {Object} item 列表项
+           * @returns {string|null} image / video / audio / pdf / markdown / json / csv / code / text，不支持预览时为 null
+           */
+          function getPreviewType(item) {
+              const contentType = (item.contentType || '').split(';')[0].trim();
+              const match = PREVIEW_TYPES.find(entry => entry.pattern.test(item.name))
+                  || PREVIEW_TYPES.find(entry => entry.mime && entry.mime.test(contentType));
+              return match ? match.type : null;
+          }
+
+          /**
+           * 打开预览，可以在当前文件夹中可预览的文件之间前后切换
+           * @param {string} path
            */
-          async function fetchApi(path, options = {}) {
-              const headers = new Headers(options.headers || {});
-              const password = localStorage.getItem('drive-password');
-              if (password) {
-                  headers.set('Authorization', password);
+          function openPreview(path) {
+              previewItems = renderedItems.filter(item => item.type === 'file' && canDo(item.access || 'full', 'read') && getPreviewType(item));
+              previewIndex = previewItems.findIndex(item => item.path === path);
+              if (previewIndex === -1) return;
+              document.getElementById('preview-modal').classList.add('visible');
+              showPreview();
+          }
+
+          /**
+           * 切换到上一个或下一个文件
+           * @param {number} offset -1 或 1
+           */
+          function showPreviewAt(offset) {
+              const index = previewIndex + offset;
+              if (index < 0 || index >= previewItems.length) return;
+              previewIndex = index;
+              showPreview();
+          }
+
+          function showPreview() {
+              const item = previewItems[previewIndex];
+              const type = getPreviewType(item);
+              const requestId = ++previewRequest;
+              const body = document.getElementById('preview-body');
+              body.innerHTML = '';
+              document.getElementById('preview-title').textContent = item.name;
+              document.getElementById('preview-position').textContent = \`\${previewIndex + 1} / \${previewItems.length}\`;
+              document.getElementById('preview-prev').disabled = previewIndex === 0;
+              document.getElementById('preview-next').disabled = previewIndex === previewItems.length - 1;
+              document.getElementById('preview-download').onclick = () => downloadFile(item.path);
+              const url = buildDownloadUrl(item.path, true);
+              if (type === 'image') {
+                  const img = document.createElement('img');
+                  img.src = url;
+                  img.alt = item.name;
+                  body.appendChild(img);
+              } else if (type === 'video' || type === 'audio') {
+                  // 下载接口支持 Range 请求，播放器可以直接拖动进度
+                  const media = document.createElement(type);
+                  media.controls = true;
+                  media.preload = 'metadata';
+                  media.src = url;
+                  body.appendChild(media);
+              } else if (type === 'pdf') {
+                  const frame = document.createElement('iframe');
+                  frame.src = url;
+                  frame.title = item.name;
+                  body.appendChild(frame);
+              } else {
+                  renderTextPreview(item, type, url, requestId);
               }
-          
-              const finalOptions = { ...options, headers };
-              const response = await fetch(path, finalOptions);
-          
-              if (response.status === 401) {
-                  localStorage.removeItem('drive-password');
-                  showLoginView('密码错误或已失效，请重新登录。');
-                  throw new Error('Unauthorized');
+          }
+
+          /**
+           * 读取文本类文件的开头部分并渲染，大文件通过 Range 请求只取前 PREVIEW_TEXT_LIMIT 字节
+           * @param {Object} item
+           * @param {string} type
+           * @param {string} url
+           * @param {number} requestId
+           */
+          async function renderTextPreview(item, type, url, requestId) {
+              const body = document.getElementById('preview-body');
+              body.innerHTML = '<div class="preview-message">加载中...</div>';
+              try {
+                  const truncated = item.size > PREVIEW_TEXT_LIMIT;
+                  const response = await fetchApi(url, truncated ? { headers: { Range: \`bytes=0-\${PREVIEW_TEXT_LIMIT - 1}\` } } : {});
+                  const text = new TextDecoder().decode(await response.arrayBuffer());
+                  if (requestId !== previewRequest) return;
+                  body.innerHTML = '';
+                  if (truncated) {
+                      const notice = document.createElement('div');
+                      notice.className = 'preview-message';
+                      notice.textContent = \`文件较大，仅显示前 \${formatSize(PREVIEW_TEXT_LIMIT)}，完整内容请下载查看\`;
+                      body.appendChild(notice);
+                  }
+                  const content = document.createElement('div');
+                  content.className = 'preview-text';
+                  if (type === 'markdown') {
+                      content.classList.add('markdown');
+                      content.innerHTML = renderMarkdown(text, item.path.substring(0, item.path.lastIndexOf('/') + 1));
+                  } else if (type === 'csv') {
+                      content.appendChild(renderCsvTable(text, /\\.tsv$/i.test(item.name) ? '\\t' : ','));
+                  } else {
+                      const pre = document.createElement('pre');
+                      pre.innerHTML = type === 'text'
+                          ? highlightLog(text)
+                          : highlightCode(type === 'json' && !truncated ? formatJson(text) : text, type === 'json' ? 'json' : getExtension(item.name));
+                      content.appendChild(pre);
+                  }
+                  body.appendChild(content);
+              } catch (e) {
+                  if (requestId !== previewRequest) return;
+                  body.innerHTML = '';
+                  if (e.message !== 'Unauthorized') {
+                      console.error('预览失败', e);
+                      body.innerHTML = '<div class="preview-message">预览失败，请下载后查看</div>';
+                  }
               }
-          
-              if (!response.ok) {
-                  const errorText = await response.text();
-                  throw new Error(\`API Error \${response.status} - \${errorText}\`);
+          }
+
+          function getExtension(name) {
+              const match = /\\.([^.]+)$/.exec(name);
+              return match ? match[1].toLowerCase() : '';
+          }
+
+          function formatJson(text) {
+              try {
+                  return JSON.stringify(JSON.parse(text), null, 2);
+              } catch (e) {
+                  return text;
               }
-              return response;
           }
-  
+
+          function escapeHtml(text) {
+              return text.replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+          }
+
+          const HIGHLIGHT_KEYWORDS = new Set((
+              'abstract and as async await break case catch class const continue def default defer del do elif else enum except ' +
+              'export extends false final finally fn for from func function go if impl import in interface is lambda let match ' +
+              'mod module mut new nil none not null or package pass private protected pub public raise return select self static ' +
+              'struct super switch this throw throws true try type typeof undefined use var void where while with yield ' +
+              'None True False SELECT FROM WHERE INSERT UPDATE DELETE JOIN LEFT RIGHT INNER ON GROUP BY ORDER LIMIT AND OR NOT NULL'
+          ).split(' '));
+
           /**
-           * 显示登录界面
-           * @param {string} errorMessage 错误信息
+           * 简单的语法高亮，只区分注释、字符串、数字和关键字
+           * @param {string} text
+           * @param {string} language 扩展名或代码块标注的语言，决定注释的写法
+           * @returns {string} HTML
            */
-          function showLoginView(errorMessage = '') {
-              document.getElementById('drive-view').style.display = 'none';
-              document.getElementById('login-view').style.display = 'block';
-              const errorEl = document.getElementById('login-error');
-              if (errorMessage) {
-                  errorEl.textContent = errorMessage;
-                  errorEl.style.display = 'block';
-              } else {
-                  errorEl.style.display = 'none';
+          function highlightCode(text, language) {
+              const comment = /^(py|python|sh|bash|shell|yaml|yml|toml|ini|conf|rb|ruby|r|pl|perl)$/.test(language) ? /#.*/
+                  : /^(sql|lua)$/.test(language) ? /--.*/
+                  : /^(html|htm|xml|vue|svg)$/.test(language) ? /<!--[\\s\\S]*?-->/
+                  : language === 'json' ? null
+                  : /\\/\\/.*|\\/\\*[\\s\\S]*?\\*\\//;
+              const pattern = new RegExp([
+                  comment ? comment.source : '(?!)',
+                  /"(?:[^"\\\\\\n]|\\\\.)*"|'(?:[^'\\\\\\n]|\\\\.)*'|\`(?:[^\`\\\\]|\\\\.)*\`/.source,
+                  /\\b(?:0x[0-9a-fA-F]+|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b/.source,
+                  /[A-Za-z_$][\\w$]*/.source,
+              ].map(source => \`(\${source})\`).join('|'), 'g');
+              let html = '';
+              let last = 0;
+              text.replace(pattern, (match, commentText, string, number, word, offset) => {
+                  const className = commentText ? 'hl-comment'
+                      : string ? 'hl-string'
+                      : number ? 'hl-number'
+                      : HIGHLIGHT_KEYWORDS.has(word) ? 'hl-keyword' : null;
+                  html += escapeHtml(text.slice(last, offset));
+                  html += className ? \`<span class="\${className}">\${escapeHtml(match)}</span>\` : escapeHtml(match);
+                  last = offset + match.length;
+                  return match;
+              });
+              return html + escapeHtml(text.slice(last));
+          }
+
+          /**
+           * 日志按级别着色，时间戳弱化显示
+           * @param {string} text
+           * @returns {string} HTML
+           */
+          function highlightLog(text) {
+              return escapeHtml(text)
+                  .replace(/\\b(ERROR|FATAL|CRITICAL|PANIC)\\b/g, '<span class="hl-error">$1</span>')
+                  .replace(/\\b(WARN|WARNING)\\b/g, '<span class="hl-warn">$1</span>')
+                  .replace(/\\b\\d{4}-\\d{2}-\\d{2}[T ]\\d{2}:\\d{2}:\\d{2}(?:[.,]\\d+)?(?:Z|[+-]\\d{2}:?\\d{2})?/g, '<span class="hl-comment">$&</span>');
+          }
+
+          /**
+           * 解析 CSV/TSV，支持双引号包裹的字段和 "" 转义
+           * @param {string} text
+           * @param {string} delimiter
+           * @param {number} maxRows 最多解析的行数
+           * @returns {string[][]}
+           */
+          function parseCsv(text, delimiter, maxRows) {
+              const rows = [];
+              let row = [];
+              let field = '';
+              let quoted = false;
+              for (let i = 0; i < text.length && rows.length < maxRows; i++) {
+                  const ch = text[i];
+                  if (quoted) {
+                      if (ch === '"' && text[i + 1] === '"') {
+                          field += '"';
+                          i++;
+                      } else if (ch === '"') {
+                          quoted = false;
+                      } else {
+                          field += ch;
+                      }
+                  } else if (ch === '"' && field === '') {
+                      quoted = true;
+                  } else if (ch === delimiter) {
+                      row.push(field);
+                      field = '';
+                  } else if (ch === '\\n' || ch === '\\r') {
+                      if (ch === '\\r' && text[i + 1] === '\\n') i++;
+                      row.push(field);
+                      rows.push(row);
+                      row = [];
+                      field = '';
+                  } else {
+                      field += ch;
+                  }
+              }
+              if ((field || row.length > 0) && rows.length < maxRows) {
+                  row.push(field);
+                  rows.push(row);
               }
+              return rows;
           }
-  
+
           /**
-           * 显示网盘界面
+           * 把 CSV/TSV 渲染成表格，第一行作为表头，最多显示 PREVIEW_CSV_ROWS 行
+           * @param {string} text
+           * @param {string} delimiter
+           * @returns {DocumentFragment}
            */
-          function showDriveView() {
-              document.getElementById('login-view').style.display = 'none';
-              document.getElementById('drive-view').style.display = 'block';
+          function renderCsvTable(text, delimiter) {
+              const rows = parseCsv(text, delimiter, PREVIEW_CSV_ROWS + 1);
+              const fragment = document.createDocumentFragment();
+              const table = document.createElement('table');
+              rows.slice(0, PREVIEW_CSV_ROWS).forEach((cells, index) => {
+                  const tr = document.createElement('tr');
+                  cells.forEach(cell => {
+                      const td = document.createElement(index === 0 ? 'th' : 'td');
+                      td.textContent = cell;
+                      tr.appendChild(td);
+                  });
+                  table.appendChild(tr);
+              });
+              fragment.appendChild(table);
+              if (rows.length > PREVIEW_CSV_ROWS) {
+                  const notice = document.createElement('div');
+                  notice.className = 'preview-message';
+                  notice.textContent = \`仅显示前 \${PREVIEW_CSV_ROWS} 行\`;
+                  fragment.appendChild(notice);
+              }
+              return fragment;
           }
-  
+
           /**
-           * 处理登录表单提交
-           * @param {Event} event 
+           * 渲染常用的 Markdown 语法：标题、段落、列表、引用、分隔线、代码块和行内格式。
+           * 原文先整体转义，不支持内嵌 HTML
+           * @param {string} text
+           * @param {string} basePath Markdown 文件所在的文件夹，用于解析相对链接
+           * @returns {string} HTML
            */
-          async function handleLogin(event) {
-              event.preventDefault();
-              const password = document.getElementById('password-input').value;
-              localStorage.setItem('drive-password', password);
-              try {
-                  await fetchFiles('/api/list?path=');
-                  showDriveView();
-              } catch (e) {
-                  if (e.message !== 'Unauthorized') {
-                      // 使用自定义模态框或消息提示，而不是 alert
-                      console.error('发生未知错误', e);
-                      showErrorMessage('发生未知错误: ' + e.message);
+          function renderMarkdown(text, basePath) {
+              const lines = text.replace(/\\r\\n?/g, '\\n').split('\\n');
+              const html = [];
+              let paragraph = [];
+              let list = null;
+              const flushParagraph = () => {
+                  if (paragraph.length > 0) html.push(\`<p>\${renderInline(paragraph.join(' '), basePath)}</p>\`);
+                  paragraph = [];
+              };
+              const flushList = () => {
+                  if (list) html.push(\`<\${list.tag}>\${list.items.map(item => \`<li>\${renderInline(item, basePath)}</li>\`).join('')}</\${list.tag}>\`);
+                  list = null;
+              };
+              for (let i = 0; i < lines.length; i++) {
+                  const line = lines[i];
+                  let match;
+                  if ((match = /^\\s*(\`\`\`|~~~)\\s*([\\w+-]*)/.exec(line))) {
+                      flushParagraph();
+                      flushList();
+                      const code = [];
+                      while (++i < lines.length && !lines[i].trim().startsWith(match[1])) code.push(lines[i]);
+                      html.push(\`<pre>\${highlightCode(code.join('\\n'), match[2].toLowerCase())}</pre>\`);
+                  } else if ((match = /^(#{1,6})\\s+(.*?)\\s*#*\\s*$/.exec(line))) {
+                      flushParagraph();
+                      flushList();
+                      html.push(\`<h\${match[1].length}>\${renderInline(match[2], basePath)}</h\${match[1].length}>\`);
+                  } else if (/^\\s*([-*_])(\\s*\\1){2,}\\s*$/.test(line)) {
+                      flushParagraph();
+                      flushList();
+                      html.push('<hr>');
+                  } else if ((match = /^\\s*>\\s?(.*)$/.exec(line))) {
+                      flushParagraph();
+                      flushList();
+                      html.push(\`<blockquote>\${renderInline(match[1], basePath)}</blockquote>\`);
+                  } else if ((match = /^\\s*([-*+]|\\d+[.)])\\s+(.*)$/.exec(line))) {
+                      flushParagraph();
+                      const tag = /\\d/.test(match[1]) ? 'ol' : 'ul';
+                      if (list && list.tag !== tag) flushList();
+                      if (!list) list = { tag, items: [] };
+                      list.items.push(match[2]);
+                  } else if (line.trim() === '') {
+                      flushParagraph();
+                      flushList();
+                  } else if (list && /^\\s/.test(line)) {
+                      // 缩进的续行属于上一个列表项
+                      list.items[list.items.length - 1] += ' ' + line.trim();
+                  } else {
+                      flushList();
+                      paragraph.push(line.trim());
                   }
               }
+              flushParagraph();
+              flushList();
+              return html.join('\\n');
           }
-          
+
           /**
-           * 处理登出操作
+           * 渲染行内格式：代码、图片、链接、粗体、斜体和删除线
+           * @param {string} text 未转义的原文
+           * @param {string} basePath
+           * @returns {string} HTML
            */
-          function handleLogout() {
-              localStorage.removeItem('drive-password');
-              showLoginView('您已成功退出。');
+          function renderInline(text, basePath) {
+              // 代码、链接等先替换成占位符，避免其中的字符再被当作格式处理
+              const placeholders = [];
+              const hold = (html) => \`\\u0000\${placeholders.push(html) - 1}\\u0000\`;
+              return escapeHtml(text)
+                  .replace(/\`([^\`]+)\`/g, (match, code) => hold(\`<code>\${code}</code>\`))
+                  .replace(/!\\[([^\\]]*)\\]\\(([^)\\s]+)\\)/g, (match, alt, url) => {
+                      const src = resolveMarkdownUrl(url, basePath);
+                      return src ? hold(\`<img src="\${src}" alt="\${alt}">\`) : match;
+                  })
+                  .replace(/\\[([^\\]]+)\\]\\(([^)\\s]+)\\)/g, (match, label, url) => {
+                      const href = resolveMarkdownUrl(url, basePath);
+                      return href ? hold(\`<a href="\${href}" target="_blank" rel="noopener">\${label}</a>\`) : match;
+                  })
+                  .replace(/\\*\\*(.+?)\\*\\*|__(.+?)__/g, (match, a, b) => \`<strong>\${a || b}</strong>\`)
+                  .replace(/\\*([^*]+)\\*|\\b_([^_]+)_\\b/g, (match, a, b) => \`<em>\${a || b}</em>\`)
+                  .replace(/~~(.+?)~~/g, '<del>$1</del>')
+                  .replace(/\\u0000(\\d+)\\u0000/g, (match, index) => placeholders[index]);
           }
-  
+
           /**
-           * 从 API 获取文件列表
-           * @param {string} path 
+           * 解析 Markdown 中的链接地址。只允许 http(s)、mailto 和页内锚点，
+           * 相对地址按 Markdown 文件所在的文件夹解析成网盘中的文件
+           * @param {string} url 已转义的地址
+           * @param {string} basePath
+           * @returns {string|null} 已转义、可放入属性的地址，不允许时为 null
            */
-          async function fetchFiles(path) {
-              currentPath = path;
+          function resolveMarkdownUrl(url, basePath) {
+              const raw = url.replace(/&amp;/g, '&');
+              if (/^(https?:|mailto:|#)/i.test(raw)) return url;
+              if (/^[a-z][a-z0-9+.-]*:/i.test(raw) || raw.startsWith('//')) return null;
+              const segments = [];
+              ((raw.startsWith('/') ? '' : basePath) + raw.split(/[?#]/)[0]).split('/').forEach(segment => {
+                  if (segment === '..') segments.pop();
+                  else if (segment && segment !== '.') segments.push(segment);
+              });
               try {
-                  const response = await fetchApi(\`/api/list?path=\${encodeURIComponent(path)}\`);
-                  const files = await response.json();
-                  allFiles = files;
-                  renderFiles(files);
-                  renderBreadcrumb();
+                  return escapeHtml(buildDownloadUrl(segments.map(segment => decodeURIComponent(segment)).join('/'), true));
               } catch (e) {
-                  if (e.message !== 'Unauthorized') {
-                      // 使用自定义模态框或消息提示，而不是 alert
-                      console.error('加载文件列表失败', e);
-                      showErrorMessage('加载文件列表失败: ' + e.message);
-                  }
-                  throw e;
+                  return null;
               }
           }
   
           /**
-           * 处理搜索
-           * @param {string} query 搜索关键词
+           * 复制文件的下载链接。启用密码时链接带有签名，在有效期内无需登录即可下载
+           * @param {HTMLButtonElement} button 
+           * @param {string} path 
            */
-          function handleSearch(query) {
-              document.getElementById('search-box').value = query;
-              document.getElementById('search-box-mobile').value = query;
-              const filteredItems = allFiles.filter(item => item.name.toLowerCase().includes(query.toLowerCase()));
-              renderFiles(filteredItems);
+          async function copyDownloadLink(button, path) {
+              let url = buildDownloadUrl(path);
+              if (PASSWORD_ENABLED) {
+                  try {
+                      const response = await fetchApi(\`/api/download-url?path=\${encodeURIComponent(path)}\`);
+                      url = (await response.json()).url;
+                  } catch (e) {
+                      if (e.message !== 'Unauthorized') {
+                          console.error('生成下载链接失败', e);
+                          showErrorMessage('生成下载链接失败: ' + e.message);
+                      }
+                      return;
+                  }
+              }
+              copyLink(button, new URL(url, window.location.origin).href);
           }
-  
+
           /**
-           * 处理排序
-           * @param {Event} event 
+           * 复制链接到剪贴板
+           * @param {HTMLButtonElement} button 按钮元素
+           * @param {string} url 链接地址
            */
-          function handleSort(event) {
-              const newSort = event.target.value;
-              currentSort = newSort;
-              document.getElementById('sort-select').value = newSort;
-              document.getElementById('sort-select-mobile').value = newSort;
-              const currentQuery = document.getElementById('search-box').value;
-              const itemsToRender = currentQuery ? allFiles.filter(item => item.name.toLowerCase().includes(currentQuery.toLowerCase())) : allFiles;
-              renderFiles(itemsToRender);
+          function copyLink(button, url) {
+              navigator.clipboard.writeText(url).then(() => {
+                  const originalText = button.textContent;
+                  button.textContent = '已复制!';
+                  button.disabled = true;
+                  setTimeout(() => {
+                      button.textContent = originalText;
+                      button.disabled = false;
+                  }, 2000);
+              }).catch(err => {
+                  // 使用自定义模态框或消息提示，而不是 alert
+                  console.error('复制失败', err);
+                  showErrorMessage('复制失败: ' + err.message);
+              });
           }
           
           /**
-           * 格式化文件大小
-           * @param {number} bytes 
-           * @returns {string}
+           * 打开创建分享的对话框
+           * @param {string} path 要分享的文件或文件夹
            */
-          function formatSize(bytes) {
-              if (bytes === 0 || !bytes) return '0 B';
-              const k = 1024;
-              const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
-              const i = Math.floor(Math.log(bytes) / Math.log(k));
-              return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+          function openShareDialog(path) {
+              document.getElementById('share-target').textContent = getItemName(path);
+              document.getElementById('share-form').dataset.path = path;
+              document.getElementById('share-password').value = '';
+              document.getElementById('share-max-downloads').value = '';
+              document.getElementById('share-result').style.display = 'none';
+              document.getElementById('share-modal').classList.add('visible');
           }
-  
+
           /**
-           * 渲染文件列表
-           * @param {Array<Object>} items 
+           * 提交分享设置并显示生成的链接
+           * @param {Event} event 
            */
-          function renderFiles(items) {
-              const fileList = document.getElementById('file-list');
-              fileList.innerHTML = '';
-              
-              items.sort((a, b) => {
-                  // 文件夹排在前面
-                  if (a.type === 'folder' && b.type !== 'folder') return -1;
-                  if (b.type === 'folder' && a.type !== 'folder') return 1;
-  
-                  const [sortField, sortDirection] = currentSort.split('-');
-                  const direction = sortDirection === 'asc' ? 1 : -1;
-  
-                  switch (sortField) {
-                      case 'name':
-                          return direction * a.name.localeCompare(b.name);
-                      case 'size':
-                          return direction * ((a.size || 0) - (b.size || 0));
-                      case 'date':
-                          return direction * (new Date(a.uploaded || 0) - new Date(b.uploaded || 0));
-                      default:
-                          return a.name.localeCompare(b.name);
-                  }
-              });
-  
-              items.forEach(item => {
-                  const li = document.createElement('li');
-                  li.innerHTML = \`
-                      <span class="icon">\${item.type === 'folder' ? '📁' : '📄'}</span>
-                      <span class="name">\${item.name}</span>
-                      <span class="size">\${item.type === 'file' ? formatSize(item.size) : ''}</span>
-                      <div class="actions"></div>
-                      <button class="mobile-actions">&#8942;</button>
-                      <div class="actions-menu"></div>
-                  \`;
-                  const nameSpan = li.querySelector('.name');
-                  if (item.type === 'folder') {
-                      nameSpan.onclick = () => fetchFiles(item.path);
-                  } else {
-                      nameSpan.onclick = () => window.open(buildDownloadUrl(item.path, true), '_blank');
-                  }
-  
-                  const actionsDiv = li.querySelector('.actions');
-                  const actionsMenu = li.querySelector('.actions-menu');
-                  const actionButtons = [];
-                  
-                  if (item.type === 'file') {
-                      if (/\.(jpeg|jpg|png|gif|webp|svg)$/i.test(item.name)) {
-                          actionButtons.push({ text: '预览', handler: () => previewImage(item.path) });
-                      }
-                      actionButtons.push({ text: '下载', handler: () => downloadFile(item.path) });
-                      actionButtons.push({ text: '复制链接', handler: (e) => copyLink(e.target, item.path), className: 'btn-copy' });
-                  }
-                  actionButtons.push({ text: '删除', handler: () => deleteItem(item.path), className: 'btn-delete' });
-                  
-                  actionButtons.forEach(btnInfo => {
-                      const desktopBtn = document.createElement('button');
-                      desktopBtn.textContent = btnInfo.text;
-                      if(btnInfo.className) desktopBtn.className = btnInfo.className;
-                      desktopBtn.onclick = btnInfo.handler;
-                      actionsDiv.appendChild(desktopBtn);
-                      
-                      const mobileBtn = document.createElement('button');
-                      mobileBtn.textContent = btnInfo.text;
-                      mobileBtn.onclick = (e) => {
-                          actionsMenu.style.display = 'none';
-                          btnInfo.handler(e);
-                      };
-                      actionsMenu.appendChild(mobileBtn);
+          async function createShare(event) {
+              event.preventDefault();
+              const form = event.target;
+              const body = {
+                  path: form.dataset.path,
+                  expiresInDays: Number(document.getElementById('share-expiry').value),
+                  password: document.getElementById('share-password').value,
+                  maxDownloads: Number(document.getElementById('share-max-downloads').value) || null
+              };
+              try {
+                  const response = await fetchApi('/api/shares', {
+                      method: 'POST',
+                      headers: { 'Content-Type': 'application/json' },
+                      body: JSON.stringify(body)
                   });
-                  
-                  const mobileActionsBtn = li.querySelector('.mobile-actions');
-                  mobileActionsBtn.onclick = (e) => {
-                      e.stopPropagation();
-                      document.querySelectorAll('.actions-menu').forEach(menu => {
-                          if (menu !== actionsMenu) menu.style.display = 'none';
-                      });
-                      actionsMenu.style.display = actionsMenu.style.display === 'flex' ? 'none' : 'flex';
-                  };
-                  
-                  fileList.appendChild(li);
-              });
+                  const share = await response.json();
+                  document.getElementById('share-url').value = buildShareUrl(share.token);
+                  document.getElementById('share-result').style.display = 'flex';
+              } catch (e) {
+                  if (e.message !== 'Unauthorized') {
+                      console.error('创建分享失败', e);
+                      showErrorMessage('创建分享失败: ' + e.message);
+                  }
+              }
           }
-  
-          // 点击任何地方关闭移动端菜单
-          document.addEventListener('click', (e) => {
-              if (!e.target.closest('.mobile-actions')) {
-                  document.querySelectorAll('.actions-menu').forEach(menu => menu.style.display = 'none');
+
+          function buildShareUrl(token) {
+              return \`\${window.location.origin}/s/\${encodeURIComponent(token)}\`;
+          }
+
+          /**
+           * 打开分享管理界面
+           */
+          async function openSharesView() {
+              document.getElementById('shares-modal').classList.add('visible');
+              const list = document.getElementById('shares-list');
+              list.innerHTML = '<li>加载中...</li>';
+              try {
+                  const response = await fetchApi('/api/shares');
+                  renderShares(await response.json());
+              } catch (e) {
+                  list.innerHTML = '';
+                  if (e.message !== 'Unauthorized') {
+                      console.error('加载分享列表失败', e);
+                      showErrorMessage('加载分享列表失败: ' + e.message);
+                  }
               }
-          });
-  
+          }
+
           /**
-           * 渲染面包屑导航
+           * 渲染分享列表
+           * @param {Array<Object>} shares 
            */
-          function renderBreadcrumb() {
-              const breadcrumb = document.getElementById('breadcrumb');
-              breadcrumb.innerHTML = '<a href="#" onclick="event.preventDefault(); fetchFiles(\\'\\')">根目录</a>';
-              const parts = currentPath.split('/').filter(p => p);
-              let path = '';
-              parts.forEach(part => {
-                  path += part + '/';
-                  const finalPath = path;
-                  breadcrumb.innerHTML += \` / <a href="#" onclick="event.preventDefault(); fetchFiles('\\'\\')">\${part}</a>\`;
+          function renderShares(shares) {
+              const list = document.getElementById('shares-list');
+              list.innerHTML = '';
+              if (shares.length === 0) {
+                  list.innerHTML = '<li>暂无分享</li>';
+                  return;
+              }
+              shares.forEach(share => {
+                  const expired = share.expiresAt && share.expiresAt <= Date.now();
+                  const meta = [
+                      '创建于 ' + new Date(share.createdAt).toLocaleString(),
+                      expired ? '已过期' : (share.expiresAt ? '有效期至 ' + new Date(share.expiresAt).toLocaleString() : '永久有效'),
+                      '下载 ' + share.downloads + (share.maxDownloads ? ' / ' + share.maxDownloads : '') + ' 次'
+                  ];
+                  if (share.hasPassword) meta.push('有密码');
+                  const li = document.createElement('li');
+                  if (expired) li.className = 'expired';
+                  li.innerHTML = \`
+                      <div class="share-info">
+                          <div class="share-path"></div>
+                          <div class="share-meta"></div>
+                      </div>
+                      <button class="btn-copy">复制链接</button>
+                      <button class="btn-delete">撤销</button>
+                  \`;
+                  li.querySelector('.share-path').textContent = (share.type === 'folder' ? '📁 ' : '📄 ') + share.path;
+                  li.querySelector('.share-meta').textContent = meta.join(' · ');
+                  li.querySelector('.btn-copy').onclick = (e) => copyLink(e.target, buildShareUrl(share.token));
+                  li.querySelector('.btn-delete').onclick = () => revokeShare(share.token);
+                  list.appendChild(li);
               });
           }
-  
+
           /**
-           * 处理文件上传
-           * @param {FileList} files 
+           * 撤销分享
+           * @param {string} token 
            */
-          async function handleFiles(files) {
-              if (!files || files.length === 0) return;
-              for (const file of files) {
-                  const filePath = currentPath + file.name;
-                  try {
-                      await fetchApi(\`/api/upload?path=\${encodeURIComponent(filePath)}\`, {
-                          method: 'POST',
-                          body: file
-                      });
-                  } catch (e) {
-                      if (e.message !== 'Unauthorized') {
-                          // 使用自定义模态框或消息提示，而不是 alert
-                          console.error(\`上传文件 '\${file.name}' 失败: \${e.message}\`, e);
-                          showErrorMessage(\`上传文件 '\${file.name}' 失败: \${e.message}\`);
-                      }
+          async function revokeShare(token) {
+              if (!confirm('确定要撤销该分享吗？已发出的链接将立即失效。')) return;
+              try {
+                  await fetchApi(\`/api/shares?token=\${encodeURIComponent(token)}\`, { method: 'DELETE' });
+                  openSharesView();
+              } catch (e) {
+                  if (e.message !== 'Unauthorized') {
+                      console.error('撤销分享失败', e);
+                      showErrorMessage('撤销分享失败: ' + e.message);
                   }
               }
-              showTemporaryMessage('所有文件处理完毕!');
-              if (localStorage.getItem('drive-password') || !PASSWORD_ENABLED) {
-                  fetchFiles(currentPath);
-              }
-              document.getElementById('file-upload').value = '';
-              document.getElementById('file-upload-mobile').value = '';
           }
-  
+
           /**
-           * 创建文件夹
+           * 打开回收站
            */
-          async function createFolder() {
-              const folderName = prompt('请输入新文件夹的名称');
-              if (!folderName || !folderName.trim()) return;
-              const folderPath = currentPath + folderName.trim() + '/';
+          async function openTrashView() {
+              document.getElementById('trash-modal').classList.add('visible');
+              const list = document.getElementById('trash-list');
+              list.innerHTML = '<li>加载中...</li>';
               try {
-                  await fetchApi(\`/api/upload?path=\${encodeURIComponent(folderPath)}\`, {
-                      method: 'POST',
-                      headers: { 'X-Create-Folder': 'true' }
-                  });
-                  fetchFiles(currentPath);
+                  const response = await fetchApi('/api/trash');
+                  renderTrash((await response.json()).entries);
               } catch (e) {
+                  list.innerHTML = '';
                   if (e.message !== 'Unauthorized') {
-                      // 使用自定义模态框或消息提示，而不是 alert
-                      console.error('创建失败', e);
-                      showErrorMessage('创建失败: ' + e.message);
+                      console.error('加载回收站失败', e);
+                      showErrorMessage('加载回收站失败: ' + e.message);
                   }
               }
           }
-          
+
           /**
-           * 删除文件或文件夹
-           * @param {string} path 
+           * 渲染回收站列表
+           * @param {Array<Object>} entries 
            */
-          async function deleteItem(path) {
-              // 使用自定义模态框来替代 confirm
-              console.log(\`Confirm deletion of '\${path.split('/').filter(p => p).pop()}'?\`);
-              const confirmed = confirm('确定要删除吗？此操作无法撤销。');
-              if (!confirmed) return;
-              
+          function renderTrash(entries) {
+              const list = document.getElementById('trash-list');
+              list.innerHTML = '';
+              if (entries.length === 0) {
+                  list.innerHTML = '<li>回收站为空</li>';
+                  return;
+              }
+              entries.forEach(entry => {
+                  const meta = ['删除于 ' + new Date(entry.deletedAt).toLocaleString()];
+                  if (MULTI_USER && entry.deletedBy) meta.push(entry.deletedBy);
+                  meta.push('将于 ' + new Date(entry.expiresAt).toLocaleString() + ' 彻底删除');
+                  const li = document.createElement('li');
+                  li.innerHTML = \`
+                      <div class="trash-info">
+                          <div class="trash-path"></div>
+                          <div class="trash-meta"></div>
+                      </div>
+                      <button class="btn-restore">恢复</button>
+                      <button class="btn-delete">彻底删除</button>
+                  \`;
+                  li.querySelector('.trash-path').textContent = (entry.type === 'folder' ? '📁 ' : '📄 ') + entry.path;
+                  li.querySelector('.trash-meta').textContent = meta.join(' · ');
+                  li.querySelector('.btn-restore').onclick = () => restoreTrashEntry(entry);
+                  li.querySelector('.btn-delete').onclick = () => purgeTrashEntry(entry);
+                  list.appendChild(li);
+              });
+          }
+
+          /**
+           * 把回收站中的项目恢复到原位置
+           * @param {Object} entry 
+           */
+          async function restoreTrashEntry(entry) {
               try {
-                  await fetchApi(\`/api/delete?path=\${encodeURIComponent(path)}\`, { method: 'DELETE' });
+                  await fetchApi(\`/api/trash/restore?id=\${encodeURIComponent(entry.id)}\`, { method: 'POST' });
+                  showTemporaryMessage(\`已恢复 \${entry.path}\`);
+                  openTrashView();
                   fetchFiles(currentPath);
               } catch (e) {
                   if (e.message !== 'Unauthorized') {
-                      // 使用自定义模态框或消息提示，而不是 alert
-                      console.error('删除失败', e);
-                      showErrorMessage('删除失败: ' + e.message);
+                      console.error('恢复失败', e);
+                      showErrorMessage(e.status === 409 ? '恢复失败，原位置已有同名文件: ' + e.message : '恢复失败: ' + e.message);
                   }
               }
           }
-          
+
           /**
-           * 构建文件下载 URL
-           * @param {string} path 
-           * @param {boolean} inline 是否内联显示
-           * @returns {string}
+           * 彻底删除回收站中的项目
+           * @param {Object} entry 
            */
-          function buildDownloadUrl(path, inline = false) {
-              const encodedPath = path.split('/').map(segment => encodeURIComponent(segment)).join('/');
-              let url = \`/api/download/\${encodedPath}\`;
-              if (inline) url += '?inline=true';
-              return url;
+          async function purgeTrashEntry(entry) {
+              if (!confirm(\`确定要彻底删除 \${entry.path} 吗？此操作无法撤销。\`)) return;
+              try {
+                  await fetchApi(\`/api/trash?id=\${encodeURIComponent(entry.id)}\`, { method: 'DELETE' });
+                  openTrashView();
+              } catch (e) {
+                  if (e.message !== 'Unauthorized') {
+                      console.error('彻底删除失败', e);
+                      showErrorMessage('彻底删除失败: ' + e.message);
+                  }
+              }
           }
-  
+
+          async function emptyTrash() {
+              if (!confirm('确定要清空回收站吗？此操作无法撤销。')) return;
+              try {
+                  const response = await fetchApi('/api/trash', { method: 'DELETE' });
+                  const result = await response.json();
+                  if (result.failed > 0) {
+                      showErrorMessage(\`已删除 \${result.deleted} 个文件，\${result.failed} 个删除失败\`);
+                  } else {
+                      showTemporaryMessage('回收站已清空');
+                  }
+                  openTrashView();
+              } catch (e) {
+                  if (e.message !== 'Unauthorized') {
+                      console.error('清空回收站失败', e);
+                      showErrorMessage('清空回收站失败: ' + e.message);
+                  }
+              }
+          }
+
+          const VERSION_REASON_TEXT = { overwrite: '覆盖前', delete: '删除前', restore: '恢复前' };
+
           /**
-           * 下载文件
+           * 打开文件的历史版本列表
            * @param {string} path 
+           * @param {string} access 当前用户对该文件的权限
            */
-          function downloadFile(path) { window.open(buildDownloadUrl(path)); }
-          
+          async function openVersionsView(path, access) {
+              document.getElementById('versions-modal').classList.add('visible');
+              document.getElementById('versions-title').textContent = '历史版本: ' + path.split('/').pop();
+              const list = document.getElementById('versions-list');
+              list.innerHTML = '<li>加载中...</li>';
+              try {
+                  const response = await fetchApi(\`/api/versions?path=\${encodeURIComponent(path)}\`);
+                  renderVersions(path, access, (await response.json()).versions);
+              } catch (e) {
+                  list.innerHTML = '';
+                  if (e.message !== 'Unauthorized') {
+                      console.error('加载历史版本失败', e);
+                      showErrorMessage('加载历史版本失败: ' + e.message);
+                  }
+              }
+          }
+
           /**
-           * 预览图片
+           * 渲染历史版本列表
            * @param {string} path 
+           * @param {string} access 
+           * @param {Array<Object>} versions 
            */
-          function previewImage(path) {
-              const modal = document.getElementById('preview-modal');
-              const img = document.getElementById('preview-image');
-              img.src = buildDownloadUrl(path, true);
-              modal.classList.add('visible');
+          function renderVersions(path, access, versions) {
+              const list = document.getElementById('versions-list');
+              list.innerHTML = '';
+              if (versions.length === 0) {
+                  list.innerHTML = '<li>暂无历史版本</li>';
+                  return;
+              }
+              versions.forEach(version => {
+                  const meta = [formatSize(version.size)];
+                  if (version.reason) meta.push(VERSION_REASON_TEXT[version.reason] || version.reason);
+                  if (version.versionedBy) meta.push(version.versionedBy);
+                  const li = document.createElement('li');
+                  li.innerHTML = \`
+                      <div class="version-info">
+                          <div class="version-time"></div>
+                          <div class="version-meta"></div>
+                      </div>
+                      <button>下载</button>
+                  \`;
+                  li.querySelector('.version-time').textContent = new Date(version.versionedAt).toLocaleString();
+                  li.querySelector('.version-meta').textContent = meta.join(' · ');
+                  li.querySelector('button').onclick = () => window.open(\`/api/versions/download?path=\${encodeURIComponent(path)}&id=\${encodeURIComponent(version.id)}\`);
+                  if (canDo(access, 'write') && canDo(access, 'delete')) {
+                      const restoreBtn = document.createElement('button');
+                      restoreBtn.textContent = '恢复';
+                      restoreBtn.onclick = () => restoreVersion(path, version, access);
+                      li.appendChild(restoreBtn);
+                  }
+                  list.appendChild(li);
+              });
           }
-  
+
           /**
-           * 复制链接到剪贴板
-           * @param {HTMLButtonElement} button 按钮元素
-           * @param {string} path 文件路径
+           * 用历史版本替换当前文件，当前文件会先保存为一个新版本
+           * @param {string} path 
+           * @param {Object} version 
+           * @param {string} access 
            */
-          function copyLink(button, path) {
-              const url = new URL(buildDownloadUrl(path), window.location.origin).href;
-              navigator.clipboard.writeText(url).then(() => {
-                  const originalText = button.textContent;
-                  button.textContent = '已复制!';
-                  button.disabled = true;
-                  setTimeout(() => {
-                      button.textContent = originalText;
-                      button.disabled = false;
-                  }, 2000);
-              }).catch(err => {
-                  // 使用自定义模态框或消息提示，而不是 alert
-                  console.error('复制失败', err);
-                  showErrorMessage('复制失败: ' + err.message);
-              });
+          async function restoreVersion(path, version, access) {
+              if (!confirm(\`确定要把 \${path.split('/').pop()} 恢复到 \${new Date(version.versionedAt).toLocaleString()} 的版本吗？当前内容会保存为一个历史版本。\`)) return;
+              try {
+                  await fetchApi(\`/api/versions/restore?path=\${encodeURIComponent(path)}&id=\${encodeURIComponent(version.id)}\`, { method: 'POST' });
+                  showTemporaryMessage('已恢复');
+                  openVersionsView(path, access);
+                  fetchFiles(currentPath);
+              } catch (e) {
+                  if (e.message !== 'Unauthorized') {
+                      console.error('恢复版本失败', e);
+                      showErrorMessage('恢复版本失败: ' + e.message);
+                  }
+              }
           }
-          
+
+          function closeModal(id) {
+              document.getElementById(id).classList.remove('visible');
+          }
+
           /**
-           * 关闭图片预览模态框
+           * 关闭预览模态框
            */
           function closePreview() {
+              previewRequest++;
               document.getElementById('preview-modal').classList.remove('visible');
-              document.getElementById('preview-image').src = '';
+              // 移除播放器才会停止播放
+              document.getElementById('preview-body').innerHTML = '';
           }
+
+          // 点击内容以外的区域关闭预览
+          document.getElementById('preview-body').addEventListener('click', (e) => {
+              if (e.target === e.currentTarget) closePreview();
+          });
+
+          // Esc 关闭预览，左右方向键切换文件；焦点在播放器上时方向键留给播放器快进快退
+          document.addEventListener('keydown', (e) => {
+              if (!document.getElementById('preview-modal').classList.contains('visible')) return;
+              if (e.key === 'Escape') {
+                  closePreview();
+              } else if (!['VIDEO', 'AUDIO'].includes(e.target.tagName)) {
+                  if (e.key === 'ArrowLeft') showPreviewAt(-1);
+                  if (e.key === 'ArrowRight') showPreviewAt(1);
+              }
+          });
   
           // --- 拖放上传功能 ---
           const dropZone = document.body;
           const dragOverlay = document.getElementById('drag-overlay');
           
-          dropZone.addEventListener('dragenter', (e) => { e.preventDefault(); e.stopPropagation(); dragOverlay.classList.add('visible'); });
+          // 只响应从系统拖入的文件，列表内部的拖动由 makeMoveDropTarget 处理；没有上传权限时不响应
+          const isFileDrag = (e) => e.dataTransfer.types.includes('Files') && canDo(currentAccess, 'write');
+          
+          dropZone.addEventListener('dragenter', (e) => { if (!isFileDrag(e)) return; e.preventDefault(); e.stopPropagation(); dragOverlay.classList.add('visible'); });
           dragOverlay.addEventListener('dragleave', (e) => { e.preventDefault(); e.stopPropagation(); dragOverlay.classList.remove('visible'); });
-          dropZone.addEventListener('dragover', (e) => { e.preventDefault(); e.stopPropagation(); });
-          dropZone.addEventListener('drop', (e) => { e.preventDefault(); e.stopPropagation(); dragOverlay.classList.remove('visible'); handleFiles(e.dataTransfer.files); });
+          dropZone.addEventListener('dragover', (e) => { if (!isFileDrag(e)) return; e.preventDefault(); e.stopPropagation(); });
+          dropZone.addEventListener('drop', (e) => { if (!isFileDrag(e)) return; e.preventDefault(); e.stopPropagation(); dragOverlay.classList.remove('visible'); handleDrop(e.dataTransfer); });
   
           // --- 自定义消息框 ---
           function showErrorMessage(message) {
-            // TODO: 创建一个自定义模态框来替代 alert
             console.error(message);
+            showToast(message, 'error', 6000);
           }
-  
+
           function showTemporaryMessage(message) {
-            // TODO: 创建一个临时消息提示来替代 alert
             console.log(message);
+            showToast(message, 'info', 3000);
           }
-  
+
+          /**
+           * 在页面右下角显示一条自动消失的提示
+           * @param {string} message 
+           * @param {'info'|'error'} type 
+           * @param {number} duration 显示时长（毫秒）
+           */
+          function showToast(message, type, duration) {
+            const toast = document.createElement('div');
+            toast.className = 'toast toast-' + type;
+            toast.textContent = message;
+            document.getElementById('toast-container').appendChild(toast);
+            setTimeout(() => toast.remove(), duration);
+          }
+
           // --- 页面加载完成后的初始化逻辑 ---
           window.onload = () => {
             // 绑定事件监听器
@@ -715,21 +7124,35 @@ export default {
             document.getElementById('sort-select-mobile').onchange = (e) => handleSort(e);
             document.getElementById('search-box').oninput = (e) => handleSearch(e.target.value);
             document.getElementById('search-box-mobile').oninput = (e) => handleSearch(e.target.value);
+            document.getElementById('upload-concurrency').value = String(uploadConcurrency);
+            applyViewMode();
+
+            // 滚动到列表底部时自动加载下一页
+            if ('IntersectionObserver' in window) {
+              const observer = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) loadMoreFiles();
+              });
+              observer.observe(document.getElementById('load-more'));
+            }
   
             if (!PASSWORD_ENABLED) {
               showDriveView();
               fetchFiles('');
             } else {
-              const savedPassword = localStorage.getItem('drive-password');
-              if (savedPassword) {
-                fetchFiles('').then(() => {
+              // 旧版本会把密码明文保存在 localStorage 中，这里顺便清除
+              localStorage.removeItem('drive-password');
+              fetch('/api/check-auth').then(async (response) => {
+                if (!response.ok) {
+                  showLoginView();
+                  return;
+                }
+                setCurrentUser((await response.json()).username);
+                return fetchFiles('').then(() => {
                   showDriveView();
-                }).catch(() => {
-                  showLoginView('自动登录失败，请重新输入密码。');
                 });
-              } else {
-                showLoginView();
-              }
+              }).catch(() => {
+                showLoginView('自动登录失败，请重新输入密码。');
+              });
             }
           };
       </script>
@@ -737,4 +7160,205 @@ export default {
   </html>
   `;
   }
+
+  // --- 分享页面 HTML ---
+  function getShareHtml(token) {
+    return `
+  <!DOCTYPE html>
+  <html lang="zh-CN">
+  <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>文件分享</title>
+      <style>
+          body { font-family: -apple-system, BlinkMacSystemFont, Segoe UI, Roboto, sans-serif; margin: 0; background-color: #f0f2f5; color: #333; }
+          .container { max-width: 800px; margin: 2rem auto; padding: 2rem; background-color: #fff; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); }
+          h1 { text-align: center; word-break: break-all; }
+          button, a.button { display: inline-block; padding: 10px 15px; border: none; background-color: #007bff; color: #fff; border-radius: 4px; cursor: pointer; text-decoration: none; font-size: 14px; }
+          button:hover, a.button:hover { background-color: #0056b3; }
+          #share-meta { text-align: center; color: #6c757d; margin-bottom: 1rem; }
+          #message { text-align: center; color: #dc3545; }
+          #password-form { text-align: center; padding: 1rem; }
+          #password-form input { padding: 10px; width: 200px; margin-right: 10px; border: 1px solid #ccc; border-radius: 4px; }
+          #file-view { text-align: center; }
+          #breadcrumb { margin-bottom: 1rem; color: #555; word-break: break-all; }
+          #breadcrumb a { color: #007bff; text-decoration: none; }
+          #file-list { list-style: none; padding: 0; }
+          #file-list li { display: flex; align-items: center; padding: 12px 8px; border-bottom: 1px solid #eee; }
+          #file-list li .icon { width: 30px; font-size: 20px; text-align: center; }
+          #file-list li .name { flex-grow: 1; word-break: break-all; padding: 0 10px; }
+          #file-list li .name.folder { cursor: pointer; color: #007bff; }
+          #file-list li .size { width: 80px; text-align: right; color: #6c757d; font-size: 14px; }
+          #file-list li a.button { margin-left: 8px; padding: 5px 8px; font-size: 12px; }
+          #load-more { text-align: center; margin-top: 1rem; }
+      </style>
+  </head>
+  <body>
+      <div class="container">
+          <h1 id="share-title">文件分享</h1>
+          <div id="share-meta"></div>
+          <p id="message"></p>
+
+          <form id="password-form" style="display: none;" onsubmit="unlockShare(event)">
+              <p>该分享需要密码</p>
+              <input type="password" id="password-input" placeholder="密码" required>
+              <button type="submit">确定</button>
+          </form>
+
+          <div id="file-view" style="display: none;">
+              <a class="button" id="file-download">下载</a>
+          </div>
+
+          <div id="folder-view" style="display: none;">
+              <div id="breadcrumb"></div>
+              <ul id="file-list"></ul>
+              <div id="load-more" style="display: none;">
+                  <button onclick="loadFolder(folderPath, folderCursor)">加载更多</button>
+              </div>
+          </div>
+      </div>
+
+      <script>
+          const SHARE_BASE = '/s/' + encodeURIComponent(${JSON.stringify(token)});
+          let folderPath = '';
+          let folderCursor = null;
+
+          function showMessage(text) {
+              document.getElementById('message').textContent = text;
+          }
+
+          function formatSize(bytes) {
+              if (bytes === 0 || !bytes) return '0 B';
+              const k = 1024;
+              const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+              const i = Math.floor(Math.log(bytes) / Math.log(k));
+              return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+          }
+
+          function buildShareDownloadUrl(path) {
+              const encodedPath = path.split('/').map(segment => encodeURIComponent(segment)).join('/');
+              return SHARE_BASE + '/download' + (encodedPath ? '/' + encodedPath : '');
+          }
+
+          /**
+           * 读取分享概要并显示对应视图
+           */
+          async function loadShare() {
+              const response = await fetch(SHARE_BASE + '/info');
+              if (!response.ok) {
+                  showMessage(response.status === 410 ? '该分享已过期' : '分享不存在或已被撤销');
+                  return;
+              }
+              const info = await response.json();
+              document.getElementById('share-title').textContent = (info.type === 'folder' ? '📁 ' : '📄 ') + info.name;
+              const meta = [info.expiresAt ? '有效期至 ' + new Date(info.expiresAt).toLocaleString() : '永久有效'];
+              if (info.remainingDownloads !== null) meta.push('剩余下载次数 ' + info.remainingDownloads);
+              document.getElementById('share-meta').textContent = meta.join(' · ');
+
+              if (info.requiresPassword && !info.unlocked) {
+                  document.getElementById('password-form').style.display = 'block';
+                  return;
+              }
+              document.getElementById('password-form').style.display = 'none';
+              if (info.type === 'file') {
+                  document.getElementById('file-download').href = buildShareDownloadUrl('');
+                  document.getElementById('file-view').style.display = 'block';
+              } else {
+                  document.getElementById('folder-view').style.display = 'block';
+                  loadFolder('', null);
+              }
+          }
+
+          /**
+           * 提交分享密码
+           * @param {Event} event 
+           */
+          async function unlockShare(event) {
+              event.preventDefault();
+              const response = await fetch(SHARE_BASE + '/unlock', {
+                  method: 'POST',
+                  headers: { 'Content-Type': 'application/json' },
+                  body: JSON.stringify({ password: document.getElementById('password-input').value })
+              });
+              if (!response.ok) {
+                  const retryAfter = Number(response.headers.get('Retry-After')) || 0;
+                  const message = response.status === 429 ? '尝试次数过多' : '密码错误';
+                  showMessage(retryAfter ? \`\${message}，请 \${retryAfter} 秒后再试\` : message);
+                  return;
+              }
+              showMessage('');
+              loadShare();
+          }
+
+          /**
+           * 加载文件夹分享中的一页内容
+           * @param {string} path 相对于分享根目录的路径
+           * @param {string|null} cursor 分页游标，为 null 时重新加载
+           */
+          async function loadFolder(path, cursor) {
+              let url = SHARE_BASE + '/list?path=' + encodeURIComponent(path);
+              if (cursor) url += '&cursor=' + encodeURIComponent(cursor);
+              const response = await fetch(url);
+              if (!response.ok) {
+                  showMessage('加载文件列表失败: ' + await response.text());
+                  return;
+              }
+              const page = await response.json();
+              const fileList = document.getElementById('file-list');
+              if (!cursor) {
+                  fileList.innerHTML = '';
+                  folderPath = path;
+                  renderBreadcrumb();
+              }
+              folderCursor = page.truncated ? page.cursor : null;
+              document.getElementById('load-more').style.display = folderCursor ? 'block' : 'none';
+
+              page.items.forEach(item => {
+                  const li = document.createElement('li');
+                  li.innerHTML = \`
+                      <span class="icon">\${item.type === 'folder' ? '📁' : '📄'}</span>
+                      <span class="name"></span>
+                      <span class="size">\${item.type === 'file' ? formatSize(item.size) : ''}</span>
+                  \`;
+                  const nameSpan = li.querySelector('.name');
+                  nameSpan.textContent = item.name;
+                  if (item.type === 'folder') {
+                      nameSpan.classList.add('folder');
+                      nameSpan.onclick = () => loadFolder(item.path, null);
+                  } else {
+                      const link = document.createElement('a');
+                      link.className = 'button';
+                      link.href = buildShareDownloadUrl(item.path);
+                      link.textContent = '下载';
+                      li.appendChild(link);
+                  }
+                  fileList.appendChild(li);
+              });
+          }
+
+          function renderBreadcrumb() {
+              const breadcrumb = document.getElementById('breadcrumb');
+              breadcrumb.innerHTML = '';
+              const addLink = (text, path) => {
+                  const link = document.createElement('a');
+                  link.href = '#';
+                  link.textContent = text;
+                  link.onclick = (e) => { e.preventDefault(); loadFolder(path, null); };
+                  breadcrumb.appendChild(link);
+              };
+              addLink('分享根目录', '');
+              let path = '';
+              folderPath.split('/').filter(p => p).forEach(part => {
+                  path += part + '/';
+                  breadcrumb.appendChild(document.createTextNode(' / '));
+                  addLink(part, path);
+              });
+          }
+
+          loadShare();
+      </script>
+  </body>
+  </html>
+  `;
+  }
   